@@ -1,22 +1,32 @@
-const axios = require('axios');
 const logger = require('../utils/logger.util');
+const LLMProviderChain = require('../services/LLMProviderChain');
+const AIResponseCache = require('../services/AIResponseCache');
+const config = require('../utils/config.util');
+const { validateAlternative, repairAlternative } = require('../utils/profile-schema.util');
+const { describeProfile, expandReferences } = require('../utils/profile-prompt.util');
+const User = require('../models/user.model');
 const { parse } = require('dotenv');
 
 class AIController {
-    constructor() {
-        // Groq (OpenAI-compatible) configuration
-        this.groqApiKey = process.env.GROQ_API_KEY || '';
-        // default to a currently available model. You can override via GROQ_MODEL in .env
-        this.groqModel = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
+    constructor(provider = LLMProviderChain.create(), responseCache = AIResponseCache.create()) {
+        // LLM providers (Groq, OpenAI-compatible, stub), tried in the order set by AI_PROVIDERS
+        this.provider = provider;
+
+        // Responses to identical requests, reused for a while (AI_CACHE_TTL, AI_CACHE_MAX_ENTRIES)
+        this.responseCache = responseCache;
+
+        // Generation settings sent to every provider
+        this.generationOptions = {
+            temperature: 0.2,
+            maxTokens: 900,
+            json: true
+        };
 
-        // Retry configuration for API reliability
-        this.maxRetries = parseInt(process.env.GROQ_MAX_RETRIES) || 3;
-        this.baseRetryDelay = parseInt(process.env.GROQ_RETRY_DELAY) || 1000; // 1 second
-        this.requestTimeout = parseInt(process.env.GROQ_TIMEOUT) || 30000; // 30 seconds
+        // Tokens the user's current profile may take up in a prompt
+        this.profileTokenBudget = parseInt(config('AI_PROFILE_TOKEN_BUDGET')) || 1200;
 
-        // Rate limiting tracking
-        this.rateLimitResetTime = null;
-        this.rateLimitRemaining = null;
+        // Whether to send schema errors back to the model once, instead of only repairing its response
+        this.repromptInvalidResponses = config('AI_REPROMPT_INVALID') === true || config('AI_REPROMPT_INVALID') === 'true';
 
         // Domain/system instruction to steer chat outputs
         this.systemPrompt = `You're a chatbot that belongs to a web platform oriented to designing user profiles, by creating personal webpages for them, customisable via diverse modules, or components.
@@ -133,101 +143,26 @@ If they ask you for directions in order to access some features, consider the fo
     }
 
     /**
-     * Calculates exponential backoff delay for retries
-     * @param {number} attempt - Current attempt number (0-based)
-     * @param {number} baseDelay - Base delay in milliseconds
-     * @returns {number} - Delay in milliseconds
-     */
-    calculateRetryDelay(attempt, baseDelay = this.baseRetryDelay) {
-        // Exponential backoff with jitter: baseDelay * (2^attempt) + random(0, 1000)
-        const exponentialDelay = baseDelay * Math.pow(2, attempt);
-        const jitter = Math.random() * 1000;
-        return Math.min(exponentialDelay + jitter, 30000); // Cap at 30 seconds
-    }
-
-    /**
-     * Checks if we should retry based on error type and attempt count
-     * @param {Error} error - The error that occurred
-     * @param {number} attempt - Current attempt number (0-based)
-     * @returns {boolean} - Whether to retry
-     */
-    shouldRetry(error, attempt) {
-        if (attempt >= this.maxRetries) {
-            return false;
-        }
-
-        // Don't retry on authentication errors
-        if (error.response?.status === 401 || error.response?.status === 403) {
-            return false;
-        }
-
-        // Don't retry on client errors (400-499) except rate limiting
-        if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
-            return false;
-        }
-
-        // Retry on network errors, timeouts, and server errors
-        if (error.code === 'ECONNABORTED' ||
-            error.code === 'ETIMEDOUT' ||
-            error.code === 'ENOTFOUND' ||
-            error.code === 'ECONNRESET' ||
-            error.response?.status >= 500 ||
-            error.response?.status === 429) {
-            return true;
-        }
-
-        return false;
-    }
-
-    /**
-     * Updates rate limit information from response headers
-     * @param {Object} headers - Response headers
-     */
-    updateRateLimitInfo(headers) {
-        try {
-            if (headers['x-ratelimit-remaining']) {
-                this.rateLimitRemaining = parseInt(headers['x-ratelimit-remaining']);
-            }
-            if (headers['x-ratelimit-reset']) {
-                this.rateLimitResetTime = parseInt(headers['x-ratelimit-reset']) * 1000; // Convert to milliseconds
-            }
-
-            logger.debug('Rate limit info updated', {
-                remaining: this.rateLimitRemaining,
-                resetTime: new Date(this.rateLimitResetTime).toISOString()
-            });
-        } catch (error) {
-            logger.warn('Failed to parse rate limit headers', { error: error.message });
-        }
-    }
-
-    /**
-     * Checks if we're currently rate limited
-     * @returns {boolean} - Whether we're rate limited
+     * Convert token usage as providers report it
+     * @param {Object} usage - Usage ({ prompt_tokens, completion_tokens, total_tokens })
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
      */
-    isRateLimited() {
-        if (!this.rateLimitResetTime || !this.rateLimitRemaining) {
-            return false;
-        }
-
-        const now = Date.now();
-        const isLimited = this.rateLimitRemaining <= 0 && now < this.rateLimitResetTime;
-
-        if (isLimited) {
-            const resetIn = Math.ceil((this.rateLimitResetTime - now) / 1000);
-            logger.warn('Rate limited', { resetInSeconds: resetIn });
-        }
-
-        return isLimited;
+    formatUsage(usage) {
+        return {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens || 0
+        };
     }
 
     /**
-     * Enhanced Groq API response validation with comprehensive structure checking
-     * @param {Object} response - Axios response object
+     * Enhanced completion response validation with comprehensive structure checking
+     * @param {Object} response - Completion response from the provider
      * @param {string} requestId - Request identifier for logging
+     * @param {Map} references - Components of the user's profile the response may reference by id
      * @returns {Object} - Validation result with content or fallback
      */
-    validateGroqApiResponse(response, requestId) {
+    validateCompletionResponse(response, requestId, references = null) {
         try {
             // Validate response object structure
             if (!response) {
@@ -238,12 +173,7 @@ If they ask you for directions in order to access some features, consider the fo
                 throw new Error('Response data is missing');
             }
 
-            // Update rate limit information from headers
-            if (response.headers) {
-                this.updateRateLimitInfo(response.headers);
-            }
-
-            // Validate Groq API response structure
+            // Validate completion response structure
             const { data } = response;
 
             if (!data.choices) {
@@ -276,10 +206,17 @@ If they ask you for directions in order to access some features, consider the fo
             logger.debug('Raw API response received, validating and parsing', { requestId });
 
             // Use the new validation and parsing method
-            return this.validateAndParseGroqResponse(content, requestId);
+            const result = this.validateAndParseModelResponse(content, requestId, references);
+
+            // Token usage counts towards the user's AI quota
+            if (data.usage) {
+                result.usage = this.formatUsage(data.usage);
+            }
+
+            return result;
 
         } catch (error) {
-            logger.error('Groq API response validation failed', {
+            logger.error('Completion response validation failed', {
                 requestId,
                 error: error.message,
                 responseStructure: {
@@ -303,190 +240,20 @@ If they ask you for directions in order to access some features, consider the fo
                     a2: { components: [], profileDesign: { colour: 2, design: 1, font: 'serif', borderRadius: 16 } },
                     a3: { components: [], profileDesign: { colour: 1, design: 2, font: 'mono', borderRadius: 24 } }
                 }),
-                fallback: true
+                fallback: true,
+                // The model was still used, even if its response can't be
+                ...(response?.data?.usage ? { usage: this.formatUsage(response.data.usage) } : {})
             };
         }
     }
 
     /**
-     * Makes a single API request to Groq with timeout handling
-     * @param {string} userContent - The user content to send
-     * @param {string} requestId - Unique request identifier
-     * @returns {Promise<Object>} - Axios response
-     */
-    async makeGroqApiRequest(userContent, requestId) {
-        const requestConfig = {
-            method: 'post',
-            url: 'https://api.groq.com/openai/v1/chat/completions',
-            data: {
-                model: this.groqModel,
-                messages: [
-                    { role: 'system', content: this.systemPrompt },
-                    { role: 'user', content: userContent }
-                ],
-                response_format: { type: 'json_object' },
-                temperature: 0.2,
-                max_tokens: 900
-            },
-            headers: {
-                Authorization: `Bearer ${this.groqApiKey}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: this.requestTimeout,
-            // Add additional axios configuration for better reliability
-            validateStatus: (status) => status < 600, // Don't throw on HTTP errors, handle them manually
-            maxRedirects: 3,
-            // Retry configuration at axios level (in addition to our manual retry logic)
-            retry: 0 // Disable axios retry, we handle it manually
-        };
-
-        logger.debug('Making Groq API request', {
-            requestId,
-            timeout: `${this.requestTimeout}ms`,
-            model: this.groqModel
-        });
-
-        try {
-            const response = await axios(requestConfig);
-            logger.debug('API request completed', {
-                requestId,
-                status: response.status
-            });
-            return response;
-        } catch (error) {
-            // Enhance error information
-            if (error.code === 'ECONNABORTED') {
-                error.message = `Request timeout after ${this.requestTimeout}ms`;
-            }
-            throw error;
-        }
-    }
-
-    /**
-     * Makes API request with retry logic for transient failures
-     * @param {string} userContent - The user content to send
-     * @param {string} requestId - Unique request identifier
-     * @returns {Promise<Object>} - Validated response content
-     */
-    async makeGroqApiRequestWithRetry(userContent, requestId) {
-        let lastError;
-
-        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-            try {
-                logger.debug('API attempt starting', {
-                    requestId,
-                    attempt: attempt + 1,
-                    maxAttempts: this.maxRetries + 1
-                });
-
-                // Check rate limiting before making request
-                if (this.isRateLimited()) {
-                    const waitTime = this.rateLimitResetTime - Date.now();
-                    if (waitTime > 0 && waitTime < 60000) { // Only wait if less than 1 minute
-                        logger.info('Rate limited, waiting before retry', {
-                            requestId,
-                            waitSeconds: Math.ceil(waitTime / 1000)
-                        });
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                    } else {
-                        throw new Error('Rate limit exceeded, please try again later');
-                    }
-                }
-
-                const startTime = Date.now();
-                const response = await this.makeGroqApiRequest(userContent, requestId);
-                const responseTime = Date.now() - startTime;
-
-                // Handle HTTP error status codes
-                if (response.status >= 400) {
-                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    error.response = response;
-                    throw error;
-                }
-
-                // Validate response structure and parse content
-                const validationResult = this.validateGroqApiResponse(response, requestId);
-
-                logger.info('API request successful', {
-                    requestId,
-                    attempt: attempt + 1,
-                    responseTime: `${responseTime}ms`
-                });
-                return validationResult;
-
-            } catch (error) {
-                lastError = error;
-
-                logger.error('API attempt failed', {
-                    requestId,
-                    attempt: attempt + 1,
-                    error: error.message
-                });
-
-                // Log detailed error information
-                if (error.response) {
-                    logger.error('HTTP Error details', {
-                        requestId,
-                        status: error.response.status,
-                        statusText: error.response.statusText,
-                        data: error.response.data,
-                        errorType: `http_${error.response.status}`
-                    });
-
-                    // Update rate limit info even on errors
-                    this.updateRateLimitInfo(error.response.headers);
-                } else if (error.request) {
-                    logger.error('Network Error details', {
-                        requestId,
-                        code: error.code,
-                        message: error.message,
-                        errorType: error.code || 'network'
-                    });
-                } else {
-                    logger.error('Request Setup Error', {
-                        requestId,
-                        message: error.message,
-                        errorType: 'request_setup'
-                    });
-                }
-
-                // Check if we should retry
-                if (!this.shouldRetry(error, attempt)) {
-                    logger.info('Not retrying due to error type', {
-                        requestId,
-                        reason: error.message
-                    });
-                    break;
-                }
-
-                // Calculate delay for next attempt
-                if (attempt < this.maxRetries) {
-                    const delay = this.calculateRetryDelay(attempt);
-                    logger.info('Retrying after delay', {
-                        requestId,
-                        delaySeconds: Math.ceil(delay / 1000)
-                    });
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
-        }
-
-        // All attempts failed, throw the last error
-        logger.error('All API attempts failed', {
-            requestId,
-            totalAttempts: this.maxRetries + 1,
-            finalError: lastError.message
-        });
-        throw lastError;
-    }
-
-    /**
-     * Formats context from frontend message format to Groq API expected format
+     * Formats context from frontend message format to the format the prompt expects
      * Converts {text, sender, timestamp} messages to {user, bot} pairs
      * @param {Array} context - Array of message objects from frontend
-     * @returns {Array} - Array of {user, bot} pairs for Groq API
+     * @returns {Array} - Array of {user, bot} pairs for the prompt
      */
-    formatContextForGroq(context) {
+    formatContextForModel(context) {
         try {
             // Validate context is an array
             if (!Array.isArray(context)) {
@@ -615,7 +382,7 @@ If they ask you for directions in order to access some features, consider the fo
             return pairs;
 
         } catch (error) {
-            logger.error('Critical error in formatContextForGroq', {
+            logger.error('Critical error in formatContextForModel', {
                 error: error.message,
                 contextLength: context?.length || 0,
                 stack: error.stack
@@ -662,12 +429,13 @@ If they ask you for directions in order to access some features, consider the fo
     }
 
     /**
-     * Validates and parses Groq API JSON response content
-     * @param {string} content - Raw JSON content from Groq API
+     * Validates and parses the model's JSON response content
+     * @param {string} content - Raw JSON content from the model
      * @param {string} requestId - Request identifier for logging
+     * @param {Map} references - Components of the user's profile the response may reference by id
      * @returns {Object} - Validation result with parsed content or fallback
      */
-    validateAndParseGroqResponse(content, requestId) {
+    validateAndParseModelResponse(content, requestId, references = null) {
         console.log('content', content)
         try {
             // Validate content is a string
@@ -711,80 +479,42 @@ If they ask you for directions in order to access some features, consider the fo
 
                 // Try to fix common response format issues
                 const fixedContent = this.fixResponseFormat(parsedContent, requestId);
-                if (fixedContent) {
-                    logger.info('Successfully fixed response format', { requestId });
-                    return {
-                        success: true,
-                        content: JSON.stringify(fixedContent)
-                    };
+                if (!fixedContent) {
+                    throw new Error('Response missing required alternatives (a1, a2, a3)');
                 }
 
-                throw new Error('Response missing required alternatives (a1, a2, a3)');
+                logger.info('Successfully fixed response format', { requestId });
+                parsedContent = fixedContent;
             }
 
-            // Validate each alternative has required structure
-            for (const key of expectedKeys) {
-                const alt = parsedContent[key];
-
-                if (!alt.components || !Array.isArray(alt.components)) {
-                    logger.warn('Alternative missing or invalid components array, fixing', {
-                        requestId,
-                        alternative: key
-                    });
-                    alt.components = [];
-                }
-
-                if (!alt.profileDesign || typeof alt.profileDesign !== 'object') {
-                    logger.warn('Alternative missing or invalid profileDesign object, fixing', {
-                        requestId,
-                        alternative: key
-                    });
-                    alt.profileDesign = { design: 1, colour: 0, font: 'default', borderRadius: 8 };
-                } else {
-                    // Validate profileDesign values
-                    if (typeof alt.profileDesign.colour !== 'number' ||
-                        alt.profileDesign.colour < 0 || alt.profileDesign.colour > 11) {
-                        logger.warn('Alternative has invalid colour value, fixing', {
-                            requestId,
-                            alternative: key,
-                            invalidColour: alt.profileDesign.colour
-                        });
-                        alt.profileDesign.colour = 0;
-                    }
-
-                    if (typeof alt.profileDesign.design !== 'number' ||
-                        alt.profileDesign.design < 1 || alt.profileDesign.design > 3) {
-                        logger.warn('Alternative has invalid design value, fixing', {
-                            requestId,
-                            alternative: key,
-                            invalidDesign: alt.profileDesign.design
-                        });
-                        alt.profileDesign.design = 1;
-                    }
-
-                    // Validate font parameter (new)
-                    const validFonts = ['default', 'serif', 'mono'];
-                    if (alt.profileDesign.font && !validFonts.includes(alt.profileDesign.font)) {
-                        logger.warn('Alternative has invalid font value, fixing', {
+            // Components kept as they are come as references to the user's profile
+            if (references) {
+                for (const key of expectedKeys) {
+                    const { alternative, unknown } = expandReferences(parsedContent[key], references);
+                    if (unknown.length > 0) {
+                        logger.warn('Alternative references unknown components, dropping them', {
                             requestId,
                             alternative: key,
-                            invalidFont: alt.profileDesign.font
+                            unknown
                         });
-                        alt.profileDesign.font = 'default';
                     }
+                    parsedContent[key] = alternative;
+                }
+            }
 
-                    // Validate borderRadius parameter (new)
-                    if (alt.profileDesign.borderRadius !== undefined) {
-                        if (typeof alt.profileDesign.borderRadius !== 'number' ||
-                            alt.profileDesign.borderRadius < 0 || alt.profileDesign.borderRadius > 40) {
-                            logger.warn('Alternative has invalid borderRadius value, fixing', {
-                                requestId,
-                                alternative: key,
-                                invalidBorderRadius: alt.profileDesign.borderRadius
-                            });
-                            alt.profileDesign.borderRadius = 8; // default value
-                        }
-                    }
+            // Validate each alternative against the profile schema, repairing or dropping the invalid parts
+            const schemaErrors = [];
+            for (const key of expectedKeys) {
+                const errors = validateAlternative(parsedContent[key], key);
+                if (errors.length > 0) {
+                    logger.warn('Alternative does not match the profile schema, repairing', {
+                        requestId,
+                        alternative: key,
+                        errorCount: errors.length,
+                        errors: errors.slice(0, 10)
+                    });
+                    schemaErrors.push(...errors);
+                    parsedContent[key] = repairAlternative(parsedContent[key]);
                 }
             }
 
@@ -797,7 +527,8 @@ If they ask you for directions in order to access some features, consider the fo
 
             return {
                 success: true,
-                content: JSON.stringify(parsedContent)
+                content: JSON.stringify(parsedContent),
+                ...(schemaErrors.length > 0 ? { schemaErrors } : {})
             };
 
         } catch (error) {
@@ -961,8 +692,7 @@ If they ask you for directions in order to access some features, consider the fo
             operation: operation.toUpperCase(),
             messageLength: message?.length || 0,
             contextMessages: context?.length || 0,
-            groqModel: this.groqModel,
-            apiKeyConfigured: !!this.groqApiKey
+            providers: this.provider.describe()
         });
     }
 
@@ -1142,15 +872,111 @@ If they ask you for directions in order to access some features, consider the fo
         return validation;
     }
 
-    async generateChatResponse(message, context = []) {
+    /**
+     * Sends the schema errors of a response back to the model, asking it to correct them
+     * The corrected response is used if it has fewer errors, otherwise the repaired original is kept
+     * @param {Array} messages - Messages the original response answered
+     * @param {Object} response - Original completion response
+     * @param {Object} validationResult - Validation result of the original response
+     * @param {Object} options - Request options, as for the original request
+     * @returns {Promise<Object>} - Validation result to use, with the token usage of both requests
+     */
+    async repromptWithSchemaErrors(messages, response, validationResult, options) {
+        const { requestId, onRetry } = options;
+        const errors = validationResult.schemaErrors;
+
+        logger.info('Re-prompting the model with schema errors', {
+            requestId,
+            errorCount: errors.length
+        });
+        if (onRetry) {
+            onRetry({ provider: response.provider, attempt: 1, reason: 'invalid_response' });
+        }
+
+        const correction = [
+            ...messages,
+            { role: 'assistant', content: response.data.choices[0].message.content },
+            {
+                role: 'user',
+                content: `Your response doesn't match the required schema:\n${errors.slice(0, 20).map(error => `- ${error.path} ${error.message}`).join('\n')}\nReply again with the corrected JSON object, with keys a1, a2, a3, and nothing else.`
+            }
+        ];
+
+        let corrected;
+        try {
+            corrected = this.validateCompletionResponse(await this.provider.complete(correction, options), requestId, options.references);
+        } catch (error) {
+            logger.warn('Re-prompt failed, using the repaired response', {
+                requestId,
+                error: error.message
+            });
+            return validationResult;
+        }
+
+        const usage = [validationResult.usage, corrected.usage].filter(Boolean).reduce((total, current) => ({
+            promptTokens: total.promptTokens + current.promptTokens,
+            completionTokens: total.completionTokens + current.completionTokens,
+            totalTokens: total.totalTokens + current.totalTokens
+        }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+        const remaining = corrected.schemaErrors ? corrected.schemaErrors.length : 0;
+        const result = !corrected.fallback && remaining < errors.length ? corrected : validationResult;
+        logger.info('Re-prompt completed', {
+            requestId,
+            errorsBefore: errors.length,
+            errorsAfter: corrected.fallback ? null : remaining,
+            usingCorrection: result === corrected
+        });
+
+        return { ...result, usage };
+    }
+
+    /**
+     * Load a user's published profile and describe it for a prompt
+     * Suggestions are applied to the published profile, so component positions and references must point into it, not a draft
+     * @param {number} userId - User whose profile to load
+     * @param {string} requestId - Request identifier for logging
+     * @returns {Promise<Object|null>} Description from describeProfile, or null if it couldn't be loaded
+     */
+    async loadProfileContext(userId, requestId) {
+        try {
+            const user = await User.findOne({ id: userId });
+            if (!user) {
+                return null;
+            }
+
+            const parse = value => typeof value === 'string' ? JSON.parse(value) : value ?? null;
+            const profile = describeProfile({
+                components: parse(user.components),
+                sociallinks: parse(user.sociallinks),
+                profileDesign: parse(user.profileDesign)
+            }, { tokenBudget: this.profileTokenBudget });
+
+            logger.debug('Profile added to the prompt', {
+                requestId,
+                components: profile.references.size,
+                tokens: profile.tokens,
+                compressed: profile.compressed
+            });
+            return profile;
+        } catch (error) {
+            // The request still works without it, only with less to go on
+            logger.warn('Could not load the profile for the prompt', {
+                requestId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    async generateChatResponse(message, context = [], { signal, onDelta, onRetry, userId = null } = {}) {
         let formattedContext = [];
         const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
 
         try {
             // Log AI chat request with sanitized content
             logger.logAIChatRequest(requestId, message, context, {
-                groqModel: this.groqModel,
-                apiKeyConfigured: !!this.groqApiKey
+                providers: this.provider.describe()
             });
 
             // Enhanced input validation and sanitization
@@ -1162,7 +988,8 @@ If they ask you for directions in order to access some features, consider the fo
                     requestId,
                     errors: inputValidation.errors
                 });
-                return this.createErrorResponse(errorMessage, 400);
+                // Never sent to the provider, so it doesn't count towards the user's AI quota
+                return { ...this.createErrorResponse(errorMessage, 400), upstream: false };
             }
 
             // Use sanitized input
@@ -1175,15 +1002,16 @@ If they ask you for directions in order to access some features, consider the fo
                 contextMessages: validatedContext.length
             });
 
-            // Check if Groq API key is configured
-            if (!this.groqApiKey) {
-                logger.warn('No Groq API key configured, using fallback response', { requestId });
-                return this.createFallbackResponse('Missing API key');
+            // Check if any AI provider is configured
+            if (!this.provider.isConfigured()) {
+                logger.warn('No AI provider configured, using fallback response', { requestId });
+                // Nothing was sent to a provider either, so it doesn't count towards the user's AI quota
+                return { ...this.createFallbackResponse('No AI provider configured'), upstream: false };
             }
 
             // Format validated context array with error handling
             try {
-                formattedContext = this.formatContextForGroq(validatedContext);
+                formattedContext = this.formatContextForModel(validatedContext);
             } catch (contextError) {
                 logger.error('Context formatting failed', {
                     requestId,
@@ -1209,19 +1037,95 @@ If they ask you for directions in order to access some features, consider the fo
                 .map(p => `User: ${p.user}\nAssistant: ${p.bot}`)
                 .join('\n');
 
-            const userContent = `${recentPairs ? recentPairs + '\n' : ''}User: ${sanitizedMessage}\nAssistant: Provide a single JSON object with keys a1, a2, a3. Each value must follow the exact schema and include up to 5 thoughtfully filled components based on the request. Use different designs/colours or content per alternative. Output only the JSON and nothing else.`;
+            const profile = userId ? await this.loadProfileContext(userId, requestId) : null;
+
+            const userContent = `${profile ? profile.text + '\n\n' : ''}${recentPairs ? recentPairs + '\n' : ''}User: ${sanitizedMessage}\nAssistant: Provide a single JSON object with keys a1, a2, a3. Each value must follow the exact schema and include up to 5 thoughtfully filled components based on the request. Use different designs/colours or content per alternative. Output only the JSON and nothing else.`;
 
-            logger.info('Making Groq API request', { requestId });
+            logger.info('Making AI provider request', { requestId });
             const startTime = Date.now();
 
-            // Make API request with retry logic and comprehensive error handling
+            const messages = [
+                { role: 'system', content: this.systemPrompt },
+                { role: 'user', content: userContent }
+            ];
+
+            // Make API request with retry logic, failover and comprehensive error handling
             let validationResult;
+            let provider;
+            let cacheSource;
             try {
-                validationResult = await this.makeGroqApiRequestWithRetry(userContent, requestId);
+                const requestOptions = {
+                    ...this.generationOptions,
+                    requestId,
+                    signal,
+                    onDelta,
+                    onRetry,
+                    references: profile ? profile.references : null
+                };
+                const complete = async () => {
+                    try {
+                        const response = await this.provider.complete(messages, requestOptions);
+                        let result = this.validateCompletionResponse(response, requestId, requestOptions.references);
+
+                        if (result.schemaErrors && this.repromptInvalidResponses && !signal?.aborted) {
+                            result = await this.repromptWithSchemaErrors(messages, response, result, requestOptions);
+                        }
+                        return { ...result, provider: response.provider };
+                    } catch (error) {
+                        error.cancelled = Boolean(signal?.aborted);
+                        throw error;
+                    }
+                };
+
+                const cacheKey = AIResponseCache.key({
+                    prompt: sanitizedMessage,
+                    context: recentPairs,
+                    profile: profile ? profile.text : null,
+                    references: requestOptions.references,
+                    settings: {
+                        systemPrompt: this.systemPrompt,
+                        ...this.generationOptions,
+                        reprompt: this.repromptInvalidResponses
+                    }
+                });
+
+                // Requests that join an identical one fail with it if its client cancels it, so they are made again
+                let fetched;
+                while (!fetched) {
+                    try {
+                        fetched = await this.responseCache.fetch(cacheKey, complete, { cacheable: result => !result.fallback });
+                    } catch (error) {
+                        if (!error.cancelled || signal?.aborted) {
+                            throw error;
+                        }
+                    }
+                }
+
+                validationResult = fetched.value;
+                provider = validationResult.provider;
+                cacheSource = fetched.source;
+
+                // Only the request that made the upstream call streamed it, so the others get the response in one piece
+                if (cacheSource !== 'upstream' && onDelta) {
+                    onDelta(validationResult.content);
+                }
             } catch (apiError) {
                 const responseTime = Date.now() - startTime;
+
+                // Nobody is waiting for the response anymore, so there's nothing to fall back to
+                if (signal?.aborted) {
+                    logger.info('Chat request cancelled by the client', {
+                        requestId,
+                        responseTime: `${responseTime}ms`
+                    });
+                    // Whatever the provider reported using until then still counts towards the user's quota
+                    return this.createErrorResponse('The request was cancelled.', 499,
+                        apiError.usage ? { usage: this.formatUsage(apiError.usage) } : {});
+                }
+
                 logger.logErrorWithContext(requestId, apiError, {
-                    operation: 'groq_api_request',
+                    operation: 'ai_provider_request',
+                    provider: apiError.provider,
                     responseTime: `${responseTime}ms`,
                     attempts: 'all_failed'
                 });
@@ -1248,7 +1152,7 @@ If they ask you for directions in order to access some features, consider the fo
 
                     // Handle rate limiting with more specific messaging
                     if (status === 429) {
-                        const resetTime = this.rateLimitResetTime;
+                        const resetTime = apiError.rateLimitResetTime;
                         const waitTime = resetTime ? Math.ceil((resetTime - Date.now()) / 1000) : 60;
                         logger.error('Rate limit exceeded', {
                             requestId,
@@ -1306,16 +1210,27 @@ If they ask you for directions in order to access some features, consider the fo
             }
 
             const responseTime = Date.now() - startTime;
-            logger.info('Groq API request completed successfully', {
+            logger.info('AI provider request completed successfully', {
                 requestId,
+                provider,
+                cache: cacheSource,
                 responseTime: `${responseTime}ms`
             });
 
             // Create standardized success response
-            const metadata = { responseTime };
+            const metadata = { responseTime, provider };
             if (validationResult.fallback) {
                 metadata.fallback = true;
             }
+            // A reused response used no tokens, so it has no usage to count against quotas
+            if (cacheSource !== 'upstream') {
+                metadata.cached = true;
+            } else if (validationResult.usage) {
+                metadata.usage = validationResult.usage;
+            }
+            if (validationResult.schemaErrors) {
+                metadata.repaired = true;
+            }
 
             logger.info('Successfully processed chat request', { requestId });
             return this.createSuccessResponse(validationResult.content, metadata);
@@ -1327,8 +1242,7 @@ If they ask you for directions in order to access some features, consider the fo
                 messageLength: message?.length || 0,
                 contextLength: context?.length || 0,
                 formattedContextLength: formattedContext?.length || 0,
-                hasApiKey: !!this.groqApiKey,
-                model: this.groqModel
+                providers: this.provider.describe()
             });
 
             // Return user-friendly error without exposing technical details
@@ -1339,7 +1253,7 @@ If they ask you for directions in order to access some features, consider the fo
         }
     }
 
-    async processAIChat(message, context = []) {
+    async processAIChat(message, context = [], options = {}) {
         const startTime = Date.now();
         const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
 
@@ -1355,12 +1269,12 @@ If they ask you for directions in order to access some features, consider the fo
                     requestId,
                     errors: inputValidation.errors
                 });
-                return this.createErrorResponse(errorMessage, 400);
+                return { ...this.createErrorResponse(errorMessage, 400), upstream: false };
             }
 
             logger.debug('Entry point validation successful', { requestId });
 
-            const result = await this.generateChatResponse(message, context);
+            const result = await this.generateChatResponse(message, context, options);
             const processingTime = Date.now() - startTime;
 
             logger.info('AI chat processing completed', {
@@ -0,0 +1,257 @@
+const AIQuota = require('../models/aiquota.model')
+const AIUsage = require('../models/aiusage.model')
+const User = require('../models/user.model')
+const config = require('../utils/config.util')
+const logger = require('../utils/logger.util')
+
+// Limits AI usage per user, by requests and by model tokens, per UTC day and month.
+class AIQuotaController
+{
+    // Used for every user without their own limits.
+    defaults = {
+        dailyRequests: parseInt(config('AI_QUOTA_DAILY_REQUESTS')) || 50,
+        monthlyRequests: parseInt(config('AI_QUOTA_MONTHLY_REQUESTS')) || 500,
+        dailyTokens: parseInt(config('AI_QUOTA_DAILY_TOKENS')) || 50000,
+        monthlyTokens: parseInt(config('AI_QUOTA_MONTHLY_TOKENS')) || 500000
+    }
+
+    // Runs `request` (which resolves to a controller result) if the user has quota left, and counts it.
+    // The remaining quota is attached to the result as `content.quota`.
+    run(userId, request)
+    {
+        return new Promise(async res =>
+        {
+            let status
+            try
+            {
+                status = await this.#status(userId)
+            }
+            catch (err)
+            {
+                logger.error('Failed to load AI quota', {
+                    userId,
+                    error: err.message,
+                    errorType: 'ai_quota_error'
+                })
+                return res({
+                    status: 500,
+                    content: {success: false, error: 'There was an error while checking your AI quota. [q1]', type: 'chat'}
+                })
+            }
+
+            if (this.#exhausted(status))
+                return res(this.#exhaustedResponse(status))
+
+            const periods = [status.daily.period, status.monthly.period]
+            try
+            {
+                // Reserve the request before running it. The limits are checked again as it's counted,
+                // since concurrent requests may have used up the quota since it was loaded.
+                const reserved = await AIUsage.reserve(userId, ['daily', 'monthly'].map(name => ({
+                    period: status[name].period,
+                    requests: status.limits[name + 'Requests'],
+                    tokens: status.limits[name + 'Tokens']
+                })))
+                if (!reserved)
+                {
+                    const current = await this.#status(userId)
+                    return res(this.#exhaustedResponse(current))
+                }
+            }
+            catch (err)
+            {
+                logger.error('Failed to record AI usage', {
+                    userId,
+                    error: err.message,
+                    errorType: 'ai_quota_error'
+                })
+                return res({
+                    status: 500,
+                    content: {success: false, error: 'There was an error while checking your AI quota. [q2]', type: 'chat'}
+                })
+            }
+
+            const result = await request()
+
+            // Requests that reached the AI provider count even if they failed or were cancelled, as it may have done the work,
+            // so only ones turned down before that are given back. Tokens count whenever the provider reported them.
+            const requests = result.upstream === false ? 0 : 1
+            const usage = result.content && typeof result.content === 'object' ? result.content.usage : null
+            const tokens = usage ? usage.totalTokens || 0 : 0
+            if (requests === 0 || tokens > 0)
+                AIUsage.add(userId, periods, requests - 1, tokens).catch(err => logger.error('Failed to record AI usage', {
+                    userId,
+                    error: err.message,
+                    errorType: 'ai_quota_error'
+                }))
+
+            for (const period of ['daily', 'monthly'])
+            {
+                status[period].requests += requests
+                status[period].tokens += tokens
+            }
+
+            if (result.content && typeof result.content === 'object')
+                result.content.quota = this.#summary(status)
+            res(result)
+        })
+    }
+
+    getQuota(userId)
+    {
+        return new Promise(res =>
+        {
+            if (!userId)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            this.#status(userId).then(status => res({
+                status: 200,
+                content: {
+                    limits: status.limits,
+                    custom: status.custom,
+                    quota: this.#summary(status)
+                }
+            })).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while loading the AI quota. [q3]'
+                })
+            })
+        })
+    }
+
+    // Sets a user's limits. Limits left out or set to null go back to the defaults.
+    setQuota(userId, limits = {})
+    {
+        return new Promise(res =>
+        {
+            if (!userId)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            const values = {}
+            for (const name of Object.keys(this.defaults))
+            {
+                const value = limits[name]
+                if (value != null && (!Number.isInteger(value) || value < 0))
+                    return res({
+                        status: 400,
+                        content: `${name} must be a non-negative integer or null.`
+                    })
+                values[name] = value == null ? null : value
+            }
+
+            User.findOne({id: userId}).then(user =>
+            {
+                if (!user)
+                    return res({
+                        status: 404,
+                        content: 'There is no user with that id.'
+                    })
+
+                const quota = new AIQuota(user.id, values.dailyRequests, values.monthlyRequests, values.dailyTokens, values.monthlyTokens, null)
+                return quota.save().then(() =>
+                {
+                    logger.info('AI quota updated', {userId: user.id, limits: values})
+                    return this.getQuota(user.id).then(res)
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while updating the AI quota. [q4]'
+                })
+            })
+        })
+    }
+
+    // Loads the user's limits and their usage of the current day and month.
+    async #status(userId)
+    {
+        const now = new Date()
+        const day = now.toISOString().substring(0, 10)
+        const month = now.toISOString().substring(0, 7)
+
+        const [custom, [daily, monthly]] = await Promise.all([
+            AIQuota.findOne({User_id: userId}),
+            AIUsage.forPeriods(userId, [day, month])
+        ])
+
+        const limits = {}
+        for (const name of Object.keys(this.defaults))
+            limits[name] = custom && custom[name] != null ? custom[name] : this.defaults[name]
+
+        return {
+            limits: limits,
+            custom: !!custom,
+            daily: {
+                period: day,
+                requests: daily.requests,
+                tokens: daily.tokens,
+                resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+            },
+            monthly: {
+                period: month,
+                requests: monthly.requests,
+                tokens: monthly.tokens,
+                resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+            }
+        }
+    }
+
+    // Resolves to the exhausted period ({name, resetsAt}), the monthly one first since it lasts longer, or null.
+    #exhausted(status)
+    {
+        for (const name of ['monthly', 'daily'])
+        {
+            const usage = status[name]
+            if (usage.requests >= status.limits[name + 'Requests'] || usage.tokens >= status.limits[name + 'Tokens'])
+                return {name: name, resetsAt: usage.resetsAt}
+        }
+        return null
+    }
+
+    // The 429 for a user without quota left. If concurrent requests took the last of it, the usage loaded may not show
+    // any period used up yet, so the daily one is reported.
+    #exhaustedResponse(status)
+    {
+        const exhausted = this.#exhausted(status) || {name: 'daily', resetsAt: status.daily.resetsAt}
+        return {
+            status: 429,
+            headers: {'Retry-After': String(Math.ceil((exhausted.resetsAt - Date.now()) / 1000))},
+            content: {
+                success: false,
+                error: `You have used up your ${exhausted.name} AI quota. It resets at ${exhausted.resetsAt.toISOString()}.`,
+                type: 'chat',
+                quota: this.#summary(status)
+            }
+        }
+    }
+
+    #summary(status)
+    {
+        const summary = {}
+        for (const name of ['daily', 'monthly'])
+        {
+            const usage = status[name]
+            const requestLimit = status.limits[name + 'Requests']
+            const tokenLimit = status.limits[name + 'Tokens']
+            summary[name] = {
+                requests: {limit: requestLimit, used: usage.requests, remaining: Math.max(requestLimit - usage.requests, 0)},
+                tokens: {limit: tokenLimit, used: usage.tokens, remaining: Math.max(tokenLimit - usage.tokens, 0)},
+                resetsAt: usage.resetsAt
+            }
+        }
+        return summary
+    }
+}
+
+module.exports = AIQuotaController
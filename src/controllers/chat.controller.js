@@ -0,0 +1,232 @@
+const ChatThread = require('../models/chatthread.model')
+const ChatMessage = require('../models/chatmessage.model')
+const logger = require('../utils/logger.util')
+
+// Messages of a thread sent to the model as context. The AI controller keeps no more than this either.
+const contextSize = 20
+// Messages returned per history page, by default and at most.
+const pageSize = 50
+const maxPageSize = 100
+const maxTitleLength = 100
+
+// Saved AI chat conversations. The context sent to the model is built from the stored history,
+// so it can't be edited by the client.
+class ChatController
+{
+    constructor(aiController, aiQuotaController)
+    {
+        this.aiController = aiController
+        this.aiQuotaController = aiQuotaController
+    }
+
+    createThread(userId, title)
+    {
+        return new Promise(res =>
+        {
+            if (title != null && typeof title !== 'string')
+                return res({
+                    status: 400,
+                    content: 'The title must be a string.'
+                })
+
+            const now = new Date()
+            const thread = new ChatThread(null, userId, this.#title(title), now, now)
+            thread.insert().then(() => res({
+                status: 200,
+                content: {thread: this.#thread(thread)}
+            })).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while creating the conversation. [c1]'
+                })
+            })
+        })
+    }
+
+    listThreads(userId)
+    {
+        return new Promise(res =>
+        {
+            ChatThread.findByUser(userId).then(threads => res({
+                status: 200,
+                content: {threads: threads.map(thread => this.#thread(thread))}
+            })).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while loading your conversations. [c2]'
+                })
+            })
+        })
+    }
+
+    // Resolves to a page of the thread's messages, oldest first. Pass the id of the oldest message received as `before` to page back.
+    getHistory(userId, threadId, before, limit)
+    {
+        return new Promise(res =>
+        {
+            if (!threadId)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            const size = Math.min(parseInt(limit) || pageSize, maxPageSize)
+            ChatThread.findOne({id: threadId, User_id: userId}).then(async thread =>
+            {
+                if (!thread)
+                    return res({
+                        status: 404,
+                        content: 'There is no conversation with that id.'
+                    })
+
+                const messages = await ChatMessage.findByThread(thread.id, size + 1, parseInt(before) || null)
+                // One extra message is loaded to tell whether there are older ones.
+                const hasMore = messages.length > size
+                return res({
+                    status: 200,
+                    content: {
+                        thread: this.#thread(thread),
+                        messages: (hasMore ? messages.slice(1) : messages).map(message => this.#message(message)),
+                        hasMore: hasMore
+                    }
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while loading the conversation. [c3]'
+                })
+            })
+        })
+    }
+
+    // Sends a message to the AI, within a thread if `threadId` is given. Without one, the message is sent on its own
+    // (context sent by the client can't be trusted, so it's never used) and starts a new thread, so the reply has a
+    // message id to apply it by like any other. `options` are passed on to the AI controller.
+    chat(userId, threadId, message, options = {})
+    {
+        if (threadId)
+            return this.postMessage(userId, threadId, message, options)
+        return new Promise(async res =>
+        {
+            const sentAt = new Date()
+            const result = await this.aiQuotaController.run(userId, () => this.aiController.processAIChat(message, [], {...options, userId: userId}))
+            if (result.status !== 200)
+                return res(result)
+            res(await this.#save(userId, null, message, sentAt, result))
+        })
+    }
+
+    // Sends a message to the AI within a thread. The message and the reply are only saved if the AI answers.
+    postMessage(userId, threadId, message, options = {})
+    {
+        return new Promise(async res =>
+        {
+            if (!threadId || !message)
+                return res({
+                    status: 400,
+                    content: {success: false, error: 'Missing parameters.', type: 'chat'}
+                })
+
+            let thread, history
+            try
+            {
+                thread = await ChatThread.findOne({id: threadId, User_id: userId})
+                if (thread)
+                    history = await ChatMessage.findByThread(thread.id, contextSize)
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: {success: false, error: 'There was an error while loading the conversation. [c4]', type: 'chat'}
+                })
+            }
+
+            if (!thread)
+                return res({
+                    status: 404,
+                    content: {success: false, error: 'There is no conversation with that id.', type: 'chat'}
+                })
+
+            const sentAt = new Date()
+            const context = history.map(entry => ({
+                text: entry.text,
+                sender: entry.sender,
+                timestamp: new Date(entry.createdAt).toISOString()
+            }))
+            const result = await this.aiQuotaController.run(userId, () => this.aiController.processAIChat(message, context, {...options, userId: userId}))
+            if (result.status !== 200)
+                return res(result)
+            res(await this.#save(userId, thread, message, sentAt, result))
+        })
+    }
+
+    // Saves a message and the AI's reply to it in `thread`, or in a new thread if there is none, and adds them to the result.
+    async #save(userId, thread, message, sentAt, result)
+    {
+        try
+        {
+            if (!thread)
+            {
+                thread = new ChatThread(null, userId, null, sentAt, sentAt)
+                await thread.insert()
+            }
+            const question = new ChatMessage(null, thread.id, 'user', String(message).trim(), sentAt)
+            await question.insert()
+            const answer = new ChatMessage(null, thread.id, 'ai', result.content.response, new Date())
+            await answer.insert()
+            await thread.touch(this.#title(message))
+
+            result.content.thread = this.#thread(thread)
+            result.content.messages = [this.#message(question), this.#message(answer)]
+        }
+        catch (err)
+        {
+            // The reply was already paid for, so it is still sent, just without being saved (and so it can't be applied).
+            logger.error('Failed to save chat messages', {
+                userId,
+                threadId: thread ? thread.id : null,
+                error: err.message
+            })
+            result.content.saved = false
+        }
+        return result
+    }
+
+    #title(title)
+    {
+        if (!title)
+            return null
+        const trimmed = String(title).trim().replace(/\s+/g, ' ')
+        return trimmed.length > maxTitleLength ? trimmed.substring(0, maxTitleLength - 3) + '...' : trimmed || null
+    }
+
+    #thread(thread)
+    {
+        return {
+            id: thread.id,
+            title: thread.title,
+            createdAt: thread.createdAt,
+            updatedAt: thread.updatedAt
+        }
+    }
+
+    #message(message)
+    {
+        return {
+            id: message.id,
+            sender: message.sender,
+            text: message.text,
+            createdAt: message.createdAt
+        }
+    }
+}
+
+module.exports = ChatController
@@ -1,11 +1,43 @@
+const { generateUniqueToken } = require('../utils/token.util')
+const { detectFileType } = require('../utils/file-type.util')
+const { AVATAR_SIZES, avatarFilename } = require('../utils/avatar.util')
+const UserFile = require('../models/userfile.model')
+const User = require('../models/user.model')
+const StorageUsage = require('../models/storageusage.model')
+const config = require('../utils/config.util')
+
+const maxDisplayNameLength = 255
+
+// 10485760 -> "10 MB"
+function formatBytes(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB']
+    let unit = 0
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024
+        unit++
+    }
+    return Math.round(bytes * 10) / 10 + ' ' + units[unit]
+}
+
 module.exports = class FileController {
-    constructor(sessionController, storageManager) {
-        this.sessionController = sessionController
+    // Also read by the upload middleware in WebController, which cuts off larger files while they're received.
+    // Avatars replace each other, so only the per file size applies to them.
+    static limits = {
+        maxFileSize: parseInt(config('UPLOAD_MAX_FILE_SIZE')) || 10485760,
+        maxFiles: parseInt(config('UPLOAD_MAX_FILES')) || 100,
+        maxBytes: parseInt(config('UPLOAD_MAX_TOTAL_BYTES')) || 104857600
+    }
+
+    static fileTooLargeMessage = `Files can't be larger than ${formatBytes(FileController.limits.maxFileSize)}.`
+
+    constructor(storageManager) {
         this.storageManager = storageManager
     }
 
-    upload(files, token, clientToken, avatar) {
+    upload(files, userId, avatar) {
         return new Promise(async (res) => {
+            // Bytes counted towards the user's quota, given back if the upload fails
+            let reserved = null
             try {
                 // Validate input
                 if (!files || Object.keys(files).length === 0) {
@@ -15,14 +47,15 @@ module.exports = class FileController {
                     })
                 }
 
-                // Validate session
-                const sessionResult = await this.sessionController.validate(token, clientToken)
-                if (sessionResult.status !== 200)
-                    return res(sessionResult)
-
                 const file = files.theFile;
+                if (file.truncated || file.data.length > FileController.limits.maxFileSize) {
+                    return res({
+                        status: 413,
+                        content: FileController.fileTooLargeMessage
+                    })
+                }
+
                 const fileExtension = file.name.split(".").pop().toLowerCase()
-                const userId = sessionResult.content.id
 
                 // Validate file format
                 const allowedExtensions = ["jpeg", "png", "jpg", "webp", "pdf"]
@@ -55,38 +88,62 @@ module.exports = class FileController {
                     }
                 }
 
-                // Determine content type
-                let contentType = 'application/octet-stream'
-                switch (fileExtension) {
-                    case 'png':
-                        contentType = 'image/png'
-                        break
-                    case 'jpg':
-                    case 'jpeg':
-                        contentType = 'image/jpeg'
-                        break
-                    case 'webp':
-                        contentType = 'image/webp'
-                        break
-                    case 'pdf':
-                        contentType = 'application/pdf'
-                        break
+                // The name can be anything, so what the file is, and the type it's served with, come from its contents
+                const fileType = detectFileType(file.data)
+                if (!fileType) {
+                    return res({
+                        status: 400,
+                        content: "File format is not allowed."
+                    })
+                }
+                if (!fileType.extensions.includes(fileExtension)) {
+                    return res({
+                        status: 400,
+                        content: `The file's extension doesn't match its contents, which are ${fileType.format.toUpperCase()}.`
+                    })
                 }
+                if (fileType.error) {
+                    return res({
+                        status: 400,
+                        content: `The file isn't a valid ${fileType.format.toUpperCase()} (${fileType.error}).`
+                    })
+                }
+                const contentType = fileType.contentType
 
                 // Prepare file data for upload
                 const fileData = file.data
 
                 if (avatar) {
                     // Upload avatar using StorageManager
-                    await this.storageManager.uploadAvatar(userId, fileData, contentType)
+                    await this.storageManager.uploadAvatar(userId, fileData)
 
                     return res({
                         status: 200,
                         content: 'Uploaded successfully.'
                     })
                 } else {
-                    // Generate new filename for regular uploads
-                    const newFileName = this.#generateString() + '.' + fileExtension
+                    const { maxFiles, maxBytes } = FileController.limits
+                    if (!await StorageUsage.reserve(userId, fileData.length, maxFiles, maxBytes)) {
+                        const usage = await StorageUsage.forUser(userId)
+                        return res({
+                            status: 413,
+                            content: usage.files + 1 > maxFiles
+                                ? `You've reached the limit of ${maxFiles} files. Delete some of them to upload more.`
+                                : `This file doesn't fit in your storage: ${formatBytes(usage.bytes)} of ${formatBytes(maxBytes)} are used. Delete some files to make room for it.`
+                        })
+                    }
+                    reserved = fileData.length
+
+                    // Generate new filename for regular uploads, unique across users since legacy links carry no owner
+                    // A failed existence check shouldn't block the upload, the name is random enough on its own
+                    const baseName = await generateUniqueToken(
+                        candidate => UserFile.findOne({ filename: candidate + '.' + fileExtension })
+                            .then(indexed => indexed !== null || this.storageManager.fileExists(userId, candidate + '.' + fileExtension)
+                                .then(result => result.exists))
+                            .catch(() => false),
+                        { length: 11 }
+                    )
+                    const newFileName = baseName + '.' + fileExtension
 
                     // Upload regular file using StorageManager
                     await this.storageManager.uploadRegularFile(
@@ -102,9 +159,22 @@ module.exports = class FileController {
                         }
                     )
 
+                    // Indexed so the file can be listed and deleted, and /uploads/:filename links, which have no owner, can find it
+                    // A file left out of the index could never be deleted, so the upload fails and gives its storage back
+                    try {
+                        await new UserFile(null, userId, newFileName, file.name, contentType, fileData.length, new Date()).insert()
+                    } catch (error) {
+                        await this.storageManager.deleteFile(userId, newFileName)
+                            .catch(err => console.error('File cleanup error:', err))
+                        throw error
+                    }
+
                     return res({
                         status: 200,
-                        content: newFileName
+                        content: {
+                            filename: newFileName,
+                            url: '/uploads/' + userId + '/' + newFileName
+                        }
                     })
                 }
 
@@ -112,6 +182,18 @@ module.exports = class FileController {
                 // Enhanced error handling
                 console.error('File upload error:', error)
 
+                if (error.invalidImage) {
+                    return res({
+                        status: 400,
+                        content: "The image couldn't be read."
+                    })
+                }
+
+                if (reserved !== null) {
+                    await StorageUsage.release(userId, reserved)
+                        .catch(err => console.error('Storage usage error:', err))
+                }
+
                 // Check if it's a storage-related error
                 if (error.message && error.message.includes('storage')) {
                     return res({
@@ -128,16 +210,253 @@ module.exports = class FileController {
         })
     }
 
-    #generateString() {
-        let result = '';
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-        const charactersLength = characters.length;
-        let counter = 0;
-        while (counter < 11) {
-            result += characters.charAt(Math.floor(Math.random() * charactersLength));
-            counter += 1;
+    // Lists the user's files, with the profile components that use each of them.
+    listFiles(userId) {
+        return new Promise(async (res) => {
+            try {
+                const [files, user] = await Promise.all([UserFile.findByUser(userId), User.findOne({ id: userId })])
+
+                return res({
+                    status: 200,
+                    content: {
+                        files: files.map(file => this.#describe(file, user ? this.#references(user, file.filename) : []))
+                    }
+                })
+            } catch (error) {
+                console.error('File list error:', error)
+                return res({
+                    status: 500,
+                    content: "An error occurred while listing your files."
+                })
+            }
+        })
+    }
+
+    // Gets one of the user's files, with where it's stored.
+    getFile(userId, filename) {
+        return new Promise(async (res) => {
+            if (!filename) {
+                return res({
+                    status: 400,
+                    content: "Missing parameters."
+                })
+            }
+
+            try {
+                const [file, user] = await Promise.all([UserFile.findOne({ filename: filename, User_id: userId }), User.findOne({ id: userId })])
+                if (!file) {
+                    return res({
+                        status: 404,
+                        content: "There is no file with that name."
+                    })
+                }
+
+                // The index can outlive the stored file, which is worth knowing about
+                const storage = await this.storageManager.fileExists(userId, file.filename)
+                    .catch(() => ({ exists: null }))
+
+                return res({
+                    status: 200,
+                    content: {
+                        ...this.#describe(file, user ? this.#references(user, file.filename) : []),
+                        stored: storage.exists,
+                        storageLocation: storage.location || null
+                    }
+                })
+            } catch (error) {
+                console.error('File metadata error:', error)
+                return res({
+                    status: 500,
+                    content: "An error occurred while loading the file."
+                })
+            }
+        })
+    }
+
+    // Changes the name the file is shown with. Its URL stays the same.
+    renameFile(userId, filename, displayName) {
+        return new Promise(async (res) => {
+            if (!filename || typeof displayName !== 'string') {
+                return res({
+                    status: 400,
+                    content: "Missing parameters."
+                })
+            }
+
+            const name = displayName.trim()
+            if (name.length === 0 || name.length > maxDisplayNameLength) {
+                return res({
+                    status: 400,
+                    content: `The name must be between 1 and ${maxDisplayNameLength} characters long.`
+                })
+            }
+
+            try {
+                const file = await UserFile.findOne({ filename: filename, User_id: userId })
+                if (!file) {
+                    return res({
+                        status: 404,
+                        content: "There is no file with that name."
+                    })
+                }
+
+                await file.rename(name)
+
+                return res({
+                    status: 200,
+                    content: this.#describe(file)
+                })
+            } catch (error) {
+                console.error('File rename error:', error)
+                return res({
+                    status: 500,
+                    content: "An error occurred while renaming the file."
+                })
+            }
+        })
+    }
+
+    // Deletes one of the user's files. Files still used by the profile (or its draft) are only deleted with `force`.
+    deleteFile(userId, filename, force) {
+        return new Promise(async (res) => {
+            if (!filename) {
+                return res({
+                    status: 400,
+                    content: "Missing parameters."
+                })
+            }
+
+            try {
+                // Local uploads aren't stored per user, so only indexed files can be told apart as the user's own
+                const [file, user] = await Promise.all([UserFile.findOne({ filename: filename, User_id: userId }), User.findOne({ id: userId })])
+                if (!file) {
+                    return res({
+                        status: 404,
+                        content: "There is no file with that name."
+                    })
+                }
+
+                const references = user ? this.#references(user, file.filename) : []
+                if (references.length > 0 && !force) {
+                    return res({
+                        status: 409,
+                        content: {
+                            message: "This file is still used in your profile. Deleting it will leave those components without it.",
+                            references: references
+                        }
+                    })
+                }
+
+                if (!await this.#deleteStored(userId, file.filename)) {
+                    return res({
+                        status: 503,
+                        content: "Storage service temporarily unavailable. Please try again later."
+                    })
+                }
+                await file.delete()
+                await StorageUsage.release(userId, file.size)
+                    .catch(error => console.error('Storage usage error:', error))
+
+                return res({
+                    status: 200,
+                    content: 'Deleted successfully.'
+                })
+            } catch (error) {
+                console.error('File delete error:', error)
+                return res({
+                    status: 500,
+                    content: "An error occurred while deleting the file."
+                })
+            }
+        })
+    }
+
+    // Deletes all of a user's files and avatar sizes, when their account is deleted.
+    // Files that can't be deleted from storage keep their index entry, so they aren't left behind without a trace.
+    async deleteAll(userId) {
+        for (const file of await UserFile.findByUser(userId)) {
+            const deleted = await this.#deleteStored(userId, file.filename)
+                .catch(error => (console.error('File delete error:', error), false))
+            if (deleted) {
+                await file.delete()
+            }
+        }
+        for (const size of AVATAR_SIZES) {
+            await this.#deleteStored(userId, avatarFilename(size), true)
+                .catch(error => console.error('Avatar delete error:', error))
+        }
+        await StorageUsage.deleteMany(userId)
+    }
+
+    // How much of their storage quota the user has used.
+    getUsage(userId) {
+        return new Promise(async (res) => {
+            try {
+                const usage = await StorageUsage.forUser(userId)
+                const { maxFileSize, maxFiles, maxBytes } = FileController.limits
+
+                return res({
+                    status: 200,
+                    content: {
+                        files: { used: usage.files, limit: maxFiles, remaining: Math.max(maxFiles - usage.files, 0) },
+                        bytes: { used: usage.bytes, limit: maxBytes, remaining: Math.max(maxBytes - usage.bytes, 0) },
+                        maxFileSize: maxFileSize
+                    }
+                })
+            } catch (error) {
+                console.error('Storage usage error:', error)
+                return res({
+                    status: 500,
+                    content: "An error occurred while loading your storage usage."
+                })
+            }
+        })
+    }
+
+    #describe(file, references = undefined) {
+        return {
+            filename: file.filename,
+            url: '/uploads/' + file.User_id + '/' + file.filename,
+            displayName: file.displayName || file.originalName,
+            originalName: file.originalName,
+            contentType: file.contentType,
+            size: file.size,
+            uploadedAt: file.createdAt,
+            ...(references ? { references: references } : {})
+        }
+    }
+
+    // Deletes a file from every store. Resolves to whether it's gone, which a file already missing from every store also is,
+    // or its index entry and quota could never be freed.
+    async #deleteStored(userId, filename, isAvatar = false) {
+        const result = await this.storageManager.deleteFile(userId, filename, isAvatar)
+        if (result.success) {
+            return true
         }
-        return result;
+        return this.storageManager.fileExists(userId, filename, isAvatar).then(existence => !existence.exists, () => false)
     }
 
+    // Profile components, published or in the draft, whose content mentions the file.
+    // Filenames are random, so finding one within a component means it links to the file.
+    #references(user, filename) {
+        const references = []
+        for (const [draft, components] of [[false, user.components], [true, user.draftComponents]]) {
+            let list = null
+            try {
+                list = typeof components === 'string' ? JSON.parse(components) : components
+            } catch (error) {
+                continue
+            }
+            if (!Array.isArray(list)) {
+                continue
+            }
+
+            list.forEach((component, index) => {
+                if (JSON.stringify(component).includes(filename)) {
+                    references.push({ index: index, type: component?.type || null, draft: draft })
+                }
+            })
+        }
+        return references
+    }
 }
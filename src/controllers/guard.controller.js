@@ -0,0 +1,173 @@
+const AttemptStore = require('../services/AttemptStore')
+const config = require('../utils/config.util')
+const logger = require('../utils/logger.util')
+
+// Reads a numeric setting, falling back to a default when it is missing or invalid.
+const setting = (key, fallback) =>
+{
+    const value = parseInt(config(key))
+    return Number.isNaN(value) ? fallback : value
+}
+
+// Throttles repeated failures (wrong passwords, invalid tokens) per IP and per account.
+// After a few free attempts every failure doubles the wait before the next one, and too many failures lock the key for a while.
+class GuardController
+{
+    freeAttempts = setting('GUARD_FREE_ATTEMPTS', 3)
+    ipMaxAttempts = setting('GUARD_IP_MAX_ATTEMPTS', 20)
+    accountMaxAttempts = setting('GUARD_ACCOUNT_MAX_ATTEMPTS', 5)
+    window = setting('GUARD_WINDOW', 1000 * 60 * 15)
+    baseDelay = setting('GUARD_BASE_DELAY', 1000)
+    maxDelay = setting('GUARD_MAX_DELAY', 1000 * 60 * 15)
+    lockoutDuration = setting('GUARD_LOCKOUT_DURATION', 1000 * 60 * 30)
+
+    sweepInterval = 1000 * 60 * 15
+    sweeper = null
+
+    constructor(emailController, store = null)
+    {
+        this.emailController = emailController
+        this.store = store || AttemptStore.create({ttl: Math.max(this.window, this.lockoutDuration)})
+    }
+
+    // Resolves to a 429 response if the action is currently blocked for this IP or account, or null if it may go ahead.
+    // `identity` is {ip, account}; either may be missing.
+    check(action, identity)
+    {
+        return new Promise(res =>
+        {
+            Promise.all(this.#keys(action, identity).map(key => this.store.get(key))).then(records =>
+            {
+                const now = Date.now()
+                const retryAfter = Math.max(0, ...records.map(record => this.#blockedUntil(record) - now))
+                if (retryAfter <= 0)
+                    return res(null)
+
+                const seconds = Math.ceil(retryAfter / 1000)
+                res({
+                    status: 429,
+                    headers: {'Retry-After': String(seconds)},
+                    content: `Too many attempts. Try again in ${seconds} seconds.`
+                })
+            }).catch(err =>
+            {
+                // A broken store shouldn't lock everyone out.
+                logger.error('Attempt check failed', {
+                    action,
+                    error: err.message,
+                    errorType: 'guard_check_error'
+                })
+                res(null)
+            })
+        })
+    }
+
+    // Counts a failed attempt. Locks the IP or account once it reaches its limit; `notify` is the email address
+    // told about an account lock, if any.
+    fail(action, identity, notify = null)
+    {
+        const limits = {ip: this.ipMaxAttempts, account: this.accountMaxAttempts}
+
+        return Promise.all(Object.keys(limits).filter(type => identity[type]).map(type =>
+        {
+            const key = this.#key(action, type, identity[type])
+            return this.store.recordFailure(key, this.window).then(record =>
+            {
+                if (record.failures < limits[type] || (record.lockedUntil && record.lockedUntil > Date.now()))
+                    return
+
+                const until = Date.now() + this.lockoutDuration
+                logger.warn('Locking after repeated failures', {action, type, failures: record.failures})
+                return this.store.lock(key, until).then(() =>
+                {
+                    if (type === 'account' && notify)
+                        this.#notifyLock(notify, until)
+                })
+            })
+        })).catch(err =>
+        {
+            logger.error('Failed to record attempt', {
+                action,
+                error: err.message,
+                errorType: 'guard_record_error'
+            })
+        })
+    }
+
+    // Clears the account's failures after a successful attempt. IP counters are left alone,
+    // so logging into an own account doesn't reset an attacker's count.
+    succeed(action, identity)
+    {
+        if (!identity.account)
+            return Promise.resolve()
+
+        return this.store.reset(this.#key(action, 'account', identity.account)).catch(err =>
+        {
+            logger.error('Failed to reset attempts', {
+                action,
+                error: err.message,
+                errorType: 'guard_reset_error'
+            })
+        })
+    }
+
+    startSweeper()
+    {
+        if (this.sweeper || typeof this.store.sweep !== 'function')
+            return
+        this.sweeper = setInterval(() => this.store.sweep(Math.max(this.window, this.maxDelay)).catch(err =>
+        {
+            logger.error('Attempt sweep failed', {
+                error: err.message,
+                errorType: 'guard_sweep_error'
+            })
+        }), this.sweepInterval)
+    }
+
+    stopSweeper()
+    {
+        clearInterval(this.sweeper)
+        this.sweeper = null
+    }
+
+    // When the key may be tried again: the end of a lock, or the last failure plus an exponentially growing delay.
+    #blockedUntil(record)
+    {
+        if (!record)
+            return 0
+        if (record.lockedUntil && record.lockedUntil > Date.now())
+            return record.lockedUntil
+        if (Date.now() - record.firstFailure > this.window || record.failures <= this.freeAttempts)
+            return 0
+
+        const delay = Math.min(this.baseDelay * 2 ** (record.failures - this.freeAttempts - 1), this.maxDelay)
+        return record.lastFailure + delay
+    }
+
+    #keys(action, identity)
+    {
+        return ['ip', 'account'].filter(type => identity[type]).map(type => this.#key(action, type, identity[type]))
+    }
+
+    #key(action, type, value)
+    {
+        return `${action}:${type}:${String(value).toLowerCase()}`
+    }
+
+    #notifyLock(email, until)
+    {
+        const minutes = Math.ceil((until - Date.now()) / 60000)
+        this.emailController.connect().then(conn => conn.send('rar.vg Account locked',
+            'There have been too many failed attempts to log into your account, so it has been locked for ' + minutes + ' minutes.\n' +
+            'If it wasn\'t you, someone may be trying to guess your password. You can change it by clicking this link: https://www.rar.vg/forgot-password',
+            email)).catch(err =>
+        {
+            logger.error('Failed to send lockout email', {
+                error: err.message,
+                errorType: 'guard_email_error'
+            })
+        })
+    }
+}
+
+module.exports = GuardController
@@ -0,0 +1,611 @@
+const User = require('../models/user.model')
+const ChatMessage = require('../models/chatmessage.model')
+const ProfileRevision = require('../models/profilerevision.model')
+const {MAX_COMPONENTS, validateProfile, repairAlternative} = require('../utils/profile-schema.util')
+const {diffProfiles} = require('../utils/profile-diff.util')
+const config = require('../utils/config.util')
+
+const alternatives = ['a1', 'a2', 'a3']
+// Revisions listed per page, by default and at most.
+const pageSize = 20
+const maxPageSize = 100
+
+// 0 turns a retention limit off, so it can't fall back to the default like other settings.
+const setting = (key, fallback) => isNaN(parseInt(config(key))) ? fallback : parseInt(config(key))
+// Clears the draft. Also set along with every change published directly, so an older draft can't be shown to the owner
+// or published over it later.
+const noDraft = {draftComponents: null, draftProfileDesign: null}
+// JSON fields are stored as strings, and left null when unset.
+const stringify = value => value == null || typeof value === 'string' ? value ?? null : JSON.stringify(value)
+
+// The profile's revision history, and the changes made to it on the user's behalf.
+// Every change is saved as a new revision, so any of them can be looked back on or rolled back.
+class ProfileController
+{
+    // How many revisions are kept per user, and for how long (in milliseconds).
+    retention = {
+        keep: setting('PROFILE_REVISIONS_KEEP', 50),
+        maxAge: setting('PROFILE_REVISIONS_MAX_AGE', 7776000000)
+    }
+
+    // Saves the user's current profile as a revision. The first time, `previous` (the profile before the change)
+    // is saved too, so that change can be rolled back as well. Older revisions are then pruned.
+    async recordRevision(user, source, previous = null)
+    {
+        if (previous && !(await ProfileRevision.findLatest(user.id)))
+            await this.#revision(user.id, previous, 'initial').insert()
+
+        const revision = this.#revision(user.id, user, source)
+        await revision.insert()
+        await ProfileRevision.prune(user.id, this.retention.keep,
+            this.retention.maxAge > 0 ? new Date(Date.now() - this.retention.maxAge) : null)
+        return revision
+    }
+
+    // Applies one of the alternatives of an AI chat reply to the user's profile: all of it (its components and design),
+    // or only its component `component`, which replaces the profile's component `replace` or is added at the end.
+    // With `preview`, resolves to the resulting profile without saving it.
+    applySuggestion(userId, {messageId, alternative, component, replace, preview} = {})
+    {
+        return new Promise(async res =>
+        {
+            if (!messageId || !alternative)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+            if (!alternatives.includes(alternative))
+                return res({
+                    status: 400,
+                    content: 'The alternative must be one of ' + alternatives.join(', ') + '.'
+                })
+
+            let user, message
+            try
+            {
+                [user, message] = await Promise.all([User.findOne({id: userId}), ChatMessage.findForUser(messageId, userId)])
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while applying the suggestion. [p1]'
+                })
+            }
+
+            if (!user)
+                return res({
+                    status: 500,
+                    content: 'There was an error within the current session. Please log in again.'
+                })
+            if (!message || message.sender !== 'ai')
+                return res({
+                    status: 404,
+                    content: 'There is no AI reply with that id.'
+                })
+
+            const suggestion = this.#suggestion(message, alternative)
+            if (!suggestion)
+                return res({
+                    status: 400,
+                    content: 'That reply has no alternative ' + alternative + '.'
+                })
+
+            const current = this.#profile(user)
+            const next = {...current}
+            if (component == null)
+            {
+                next.components = suggestion.components
+                next.profileDesign = suggestion.profileDesign
+            }
+            else
+            {
+                const index = parseInt(component)
+                if (!(index >= 0 && index < suggestion.components.length))
+                    return res({
+                        status: 400,
+                        content: 'There is no component ' + component + ' in that alternative.'
+                    })
+
+                const components = [...current.components]
+                if (replace != null)
+                {
+                    const target = parseInt(replace)
+                    if (!(target >= 0 && target < components.length))
+                        return res({
+                            status: 400,
+                            content: 'There is no component ' + replace + ' in your profile.'
+                        })
+                    components[target] = suggestion.components[index]
+                }
+                else
+                {
+                    if (components.length >= MAX_COMPONENTS)
+                        return res({
+                            status: 400,
+                            content: `Your profile already has ${MAX_COMPONENTS} components. Choose one to replace.`
+                        })
+                    components.push(suggestion.components[index])
+                }
+                next.components = components
+            }
+
+            // The rest of the profile may predate validation, so the result is checked as a whole.
+            const errors = validateProfile({components: next.components, profileDesign: next.profileDesign ?? undefined})
+            if (errors.length > 0)
+                return res({
+                    status: 400,
+                    content: {message: 'The resulting profile would be invalid.', errors: errors}
+                })
+
+            if (preview)
+                return res({
+                    status: 200,
+                    content: {preview: true, profile: next}
+                })
+
+            const previous = this.#snapshot(user)
+            try
+            {
+                const updateResult = await user.update({
+                    components: JSON.stringify(next.components),
+                    profileDesign: JSON.stringify(next.profileDesign),
+                    ...noDraft
+                })
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while applying the suggestion. [p2]'
+                    })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while applying the suggestion. [p2]'
+                })
+            }
+
+            // The suggestion is applied either way; without its revision it just can't be undone.
+            const revision = await this.recordRevision(user, 'ai', previous).catch(err => console.log(err))
+            res({
+                status: 200,
+                content: {message: 'The suggestion was applied.', profile: next, revision: revision ? revision.id : null}
+            })
+        })
+    }
+
+    // Undoes the last applied suggestion, restoring the components and design from the revision before it.
+    // Only the latest change can be undone this way, so later edits are never rolled back; the others can be restored from the history.
+    undoSuggestion(userId)
+    {
+        return new Promise(async res =>
+        {
+            try
+            {
+                const [user, latest] = await Promise.all([User.findOne({id: userId}), ProfileRevision.findLatest(userId)])
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+                if (latest && !['ai', 'undo'].includes(latest.source))
+                    return res({
+                        status: 409,
+                        content: 'The profile has changed since the last suggestion was applied.'
+                    })
+                const revision = latest && latest.source === 'ai' ? await latest.findPrevious() : null
+                if (!revision)
+                    return res({
+                        status: 404,
+                        content: 'There is nothing to undo.'
+                    })
+
+                // Suggestions only change components and design, so edits made since to the rest of the profile are kept.
+                const values = {components: revision.components, profileDesign: revision.profileDesign}
+                const updateResult = await user.update({...values, ...noDraft})
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while undoing the suggestion. [p3]'
+                    })
+                const profile = {id: user.id, ...this.#snapshot(user), ...values}
+                await this.recordRevision(profile, 'undo')
+
+                res({
+                    status: 200,
+                    content: {message: 'The suggestion was undone.', profile: this.#profile(profile)}
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while undoing the suggestion. [p3]'
+                })
+            }
+        })
+    }
+
+    // Lists the user's revisions, newest first, a page at a time.
+    listRevisions(userId, before, limit)
+    {
+        return new Promise(res =>
+        {
+            const size = Math.min(parseInt(limit) || pageSize, maxPageSize)
+            // One extra revision is loaded to tell whether there are older ones.
+            ProfileRevision.findByUser(userId, size + 1, parseInt(before) || null).then(revisions =>
+            {
+                const hasMore = revisions.length > size
+                return res({
+                    status: 200,
+                    content: {
+                        revisions: revisions.slice(0, size).map(revision => ({
+                            id: revision.id,
+                            source: revision.source,
+                            createdAt: revision.createdAt
+                        })),
+                        hasMore: hasMore
+                    }
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while loading the revisions. [p4]'
+                })
+            })
+        })
+    }
+
+    // Compares two of the user's revisions. Without `to`, the revision is compared with the current profile.
+    diffRevisions(userId, from, to)
+    {
+        return new Promise(async res =>
+        {
+            if (!from)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            try
+            {
+                const [user, older, newer] = await Promise.all([
+                    User.findOne({id: userId}),
+                    ProfileRevision.findOne({id: from, User_id: userId}),
+                    to ? ProfileRevision.findOne({id: to, User_id: userId}) : null
+                ])
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+                if (!older || (to && !newer))
+                    return res({
+                        status: 404,
+                        content: 'There is no revision with that id.'
+                    })
+
+                res({
+                    status: 200,
+                    content: {
+                        from: older.id,
+                        to: newer ? newer.id : null,
+                        diff: diffProfiles(this.#profile(older), this.#profile(newer || user))
+                    }
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while comparing the revisions. [p5]'
+                })
+            }
+        })
+    }
+
+    // Rolls the whole profile back to one of the user's revisions. The rollback is itself saved as a new revision.
+    restoreRevision(userId, revisionId)
+    {
+        return new Promise(async res =>
+        {
+            if (!revisionId)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            try
+            {
+                const [user, revision] = await Promise.all([User.findOne({id: userId}), ProfileRevision.findOne({id: revisionId, User_id: userId})])
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+                if (!revision)
+                    return res({
+                        status: 404,
+                        content: 'There is no revision with that id.'
+                    })
+
+                const values = {
+                    displayName: revision.displayName,
+                    components: revision.components,
+                    sociallinks: revision.sociallinks,
+                    profileDesign: revision.profileDesign
+                }
+                const updateResult = await user.update({...values, ...noDraft})
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while restoring the revision. [p6]'
+                    })
+                // update() keeps the previous value of fields set to null, so the new revision is made from the values written.
+                const restored = await this.recordRevision({id: user.id, ...values}, 'restore')
+
+                res({
+                    status: 200,
+                    content: {message: 'The revision was restored.', profile: this.#profile(values), revision: restored.id}
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while restoring the revision. [p6]'
+                })
+            }
+        })
+    }
+
+    // Saves unpublished changes to the components and design. A field left out keeps its draft, or published, value.
+    saveDraft(userId, components, profileDesign)
+    {
+        return new Promise(async res =>
+        {
+            if (components == null && profileDesign == null)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            // Clients send the JSON fields either as they are or as strings.
+            const changes = {}
+            const errors = []
+            for (const [field, value] of Object.entries({components, profileDesign}))
+            {
+                if (value == null)
+                    continue
+                try
+                {
+                    changes[field] = typeof value === 'string' ? JSON.parse(value) : value
+                }
+                catch (err)
+                {
+                    errors.push({field: field, message: 'must be valid JSON'})
+                }
+            }
+            errors.push(...validateProfile(changes))
+            if (errors.length > 0)
+                return res({
+                    status: 400,
+                    content: {message: 'Some fields are invalid.', errors: errors}
+                })
+
+            try
+            {
+                const user = await User.findOne({id: userId})
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+
+                const current = this.#draft(user)
+                const draft = {
+                    components: changes.components ?? current.components,
+                    profileDesign: changes.profileDesign ?? current.profileDesign
+                }
+                const updateResult = await user.update({
+                    draftComponents: stringify(draft.components),
+                    draftProfileDesign: stringify(draft.profileDesign)
+                })
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while saving the draft. [p7]'
+                    })
+
+                res({
+                    status: 200,
+                    content: {message: 'The draft was saved.', draft: draft}
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while saving the draft. [p7]'
+                })
+            }
+        })
+    }
+
+    // Makes the draft the published profile, and records it as a revision.
+    publishDraft(userId)
+    {
+        return new Promise(async res =>
+        {
+            try
+            {
+                const user = await User.findOne({id: userId})
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+                if (!this.#hasDraft(user))
+                    return res({
+                        status: 409,
+                        content: 'There is no draft to publish.'
+                    })
+
+                const previous = this.#snapshot(user)
+                const draft = this.#draft(user)
+                const updateResult = await user.update({
+                    components: stringify(draft.components),
+                    profileDesign: stringify(draft.profileDesign),
+                    ...noDraft
+                })
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while publishing the draft. [p8]'
+                    })
+
+                // Published either way; without its revision there is just a gap in the history.
+                const revision = await this.recordRevision(user, 'manual', previous).catch(err => console.log(err))
+                res({
+                    status: 200,
+                    content: {message: 'Changes published successfully!', profile: this.#profile(user), revision: revision ? revision.id : null}
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while publishing the draft. [p8]'
+                })
+            }
+        })
+    }
+
+    // Throws the draft away, leaving the published profile as it is.
+    discardDraft(userId)
+    {
+        return new Promise(async res =>
+        {
+            try
+            {
+                const user = await User.findOne({id: userId})
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+                if (!this.#hasDraft(user))
+                    return res({
+                        status: 409,
+                        content: 'There is no draft to discard.'
+                    })
+
+                const updateResult = await user.update(noDraft)
+                if (updateResult.status !== 200)
+                    return res({
+                        status: 500,
+                        content: 'There was an error while discarding the draft. [p9]'
+                    })
+
+                res({
+                    status: 200,
+                    content: {message: 'The draft was discarded.', profile: this.#profile(user)}
+                })
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while discarding the draft. [p9]'
+                })
+            }
+        })
+    }
+
+    #hasDraft(user)
+    {
+        return user.draftComponents != null || user.draftProfileDesign != null
+    }
+
+    // The user's draft components and design, falling back to the published ones.
+    #draft(user)
+    {
+        const profile = this.#profile(user)
+        return {
+            components: this.#parse(user.draftComponents) ?? profile.components,
+            profileDesign: this.#parse(user.draftProfileDesign) ?? profile.profileDesign
+        }
+    }
+
+    // Takes one alternative out of a stored AI reply, repaired to fit the profile schema.
+    #suggestion(message, alternative)
+    {
+        try
+        {
+            const reply = JSON.parse(message.text)
+            if (!reply || typeof reply[alternative] !== 'object' || reply[alternative] === null)
+                return null
+            return repairAlternative(reply[alternative])
+        }
+        catch (err)
+        {
+            return null
+        }
+    }
+
+    // The editable parts of a profile (of a user or a revision), with the JSON fields parsed.
+    #profile(user)
+    {
+        return {
+            displayName: user.displayName,
+            components: this.#parse(user.components) || [],
+            sociallinks: this.#parse(user.sociallinks) || {},
+            profileDesign: this.#parse(user.profileDesign)
+        }
+    }
+
+    #parse(value)
+    {
+        if (typeof value !== 'string')
+            return value ?? null
+        try
+        {
+            return JSON.parse(value)
+        }
+        catch (err)
+        {
+            return null
+        }
+    }
+
+    // The editable parts of a user's profile, as they are stored.
+    #snapshot(user)
+    {
+        return {
+            displayName: user.displayName,
+            components: stringify(user.components),
+            sociallinks: stringify(user.sociallinks),
+            profileDesign: stringify(user.profileDesign)
+        }
+    }
+
+    #revision(userId, profile, source)
+    {
+        const snapshot = this.#snapshot(profile)
+        return new ProfileRevision(null, userId, source, snapshot.displayName, snapshot.components, snapshot.sociallinks,
+            snapshot.profileDesign, new Date())
+    }
+}
+
+module.exports = ProfileController
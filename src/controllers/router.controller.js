@@ -3,20 +3,39 @@ const UserController = require('./user.controller')
 const FileController = require('./file.controller')
 const SessionController = require('./session.controller')
 const EmailController = require('./email.controller')
+const TokenController = require('./token.controller')
+const TwoFactorController = require('./twofactor.controller')
+const GuardController = require('./guard.controller')
 const AIController = require('./ai.controller')
+const AIQuotaController = require('./aiquota.controller')
+const ChatController = require('./chat.controller')
+const ProfileController = require('./profile.controller')
 const path = require("path");
 const root = path.normalize(path.join(path.dirname(require.main.filename), '..'))
 
+const sessionTokenHeader = 'X-Session-Token'
+const clientTokenHeader = 'X-Client-Token'
+
 class RouterController
 {
     constructor(storageManager = null)
     {
         this.emailController = new EmailController()
         this.sessionController = new SessionController()
-        this.userController = new UserController(this.sessionController, this.emailController)
-        this.fileController = new FileController(this.sessionController, storageManager)
+        this.tokenController = new TokenController()
+        this.guardController = new GuardController(this.emailController)
+        this.twoFactorController = new TwoFactorController(this.guardController)
+        this.profileController = new ProfileController()
+        this.fileController = new FileController(storageManager)
+        this.userController = new UserController(this.sessionController, this.emailController, this.tokenController, this.twoFactorController, this.guardController, this.profileController, this.fileController)
         this.aiController = new AIController()
+        this.aiQuotaController = new AIQuotaController()
+        this.chatController = new ChatController(this.aiController, this.aiQuotaController)
         this.storageManager = storageManager
+
+        // Expired and redeemed email tokens, and stale attempt counters, are cleaned up periodically.
+        this.tokenController.startSweeper()
+        this.guardController.startSweeper()
     }
 
     // Creates the server.
@@ -30,27 +49,181 @@ class RouterController
             router.get('/', (req, res) => res.send("la curiosidad mató al gato"))
             router.get('/profile/:user', (req, res) => this.userController.getProfile(req.params.user).then(result => res.status(result.status).send(result.content)))
             router.get('/avatar/:user', (req, res) => res.sendFile(root + '/public/avatars/default.png'))
-            router.post('/files/upload', (req, res) => this.fileController.upload(req.files, req.body.token, req.body.clientToken, req.body.avatar === '1').then(result => res.status(result.status).send(result.content)))
+            router.post('/files/upload', this.#authenticate, (req, res) => this.fileController.upload(req.files, req.user.id, req.body.avatar === '1').then(result => res.status(result.status).send(result.content)))
+            router.post('/files', this.#authenticate, (req, res) => this.fileController.listFiles(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/files/usage', this.#authenticate, (req, res) => this.fileController.getUsage(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/files/metadata', this.#authenticate, (req, res) => this.fileController.getFile(req.user.id, req.body.filename).then(result => res.status(result.status).send(result.content)))
+            router.post('/files/rename', this.#authenticate, (req, res) => this.fileController.renameFile(req.user.id, req.body.filename, req.body.displayName).then(result => res.status(result.status).send(result.content)))
+            router.post('/files/delete', this.#authenticate, (req, res) => this.fileController.deleteFile(req.user.id, req.body.filename, req.body.force === true || req.body.force === 'true').then(result => res.status(result.status).send(result.content)))
             router.post('/register', (req, res) => this.userController.register(req.body).then(result => res.status(result.status).send(result.content)))
-            router.post('/login', (req, res) => this.userController.login(req.body).then(result => res.status(result.status).send(result.content)))
-            router.post('/validate', (req, res) => this.sessionController.validate(req.body.token, req.body.clientToken).then(result => res.status(result.status).send(result.content)))
-            router.post('/update', (req, res) => this.userController.updateProfile(req.body.token, req.body.clientToken, req.body.displayName, req.body.components, req.body.sociallinks, req.body.profileDesign).then(result => res.status(result.status).send(result.content)))
-            router.post('/getUser', (req, res) => this.userController.getUser(req.body.token, req.body.clientToken).then(result => res.status(result.status).send(result.content)))
+            router.post('/login', (req, res) => this.userController.login(req.body, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/login/2fa', (req, res) => this.userController.completeTwoFactorLogin(req.body.challenge, req.body.code, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/token/refresh', (req, res) => this.sessionController.rotate(req.body.token, req.body.clientToken, this.#client(req)).then(result => res.status(result.status).send(result.content)))
+            router.post('/validate', (req, res) => this.sessionController.validate(req.body.token, req.body.clientToken, this.#client(req)).then(result => res.status(result.status).send(result.content)))
+            router.post('/update', this.#authenticate, (req, res) => this.userController.updateProfile(req.user.id, req.body.displayName, req.body.components, req.body.sociallinks, req.body.profileDesign, req.body.source || 'manual').then(result => res.status(result.status).send(result.content)))
+            router.post('/draft', this.#authenticate, (req, res) => this.profileController.saveDraft(req.user.id, req.body.components, req.body.profileDesign).then(result => res.status(result.status).send(result.content)))
+            router.post('/draft/publish', this.#authenticate, (req, res) => this.profileController.publishDraft(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/draft/discard', this.#authenticate, (req, res) => this.profileController.discardDraft(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/revisions', this.#authenticate, (req, res) => this.profileController.listRevisions(req.user.id, req.body.before, req.body.limit).then(result => res.status(result.status).send(result.content)))
+            router.post('/revisions/diff', this.#authenticate, (req, res) => this.profileController.diffRevisions(req.user.id, req.body.from, req.body.to).then(result => res.status(result.status).send(result.content)))
+            router.post('/revisions/restore', this.#authenticate, (req, res) => this.profileController.restoreRevision(req.user.id, req.body.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/getUser', this.#authenticate, (req, res) => this.userController.getUser(req.user.id).then(result => res.status(result.status).send(result.content)))
             router.post('/verify', (req, res) => this.userController.verifyAccount(req.body.token).then(result => res.status(result.status).send(result.content)))
-            router.post('/request-password-change', (req, res) => this.userController.requestPasswordChange(req.body.email).then(result => res.status(result.status).send(result.content)))
-            router.post('/verify-password-token', (req, res) => this.userController.verifyPasswordToken(req.body.token).then(result => res.status(result.status).send(result.content)))
-            router.post('/update-password', (req, res) => this.userController.updatePassword(req.body.token, req.body.password).then(result => res.status(result.status).send(result.content)))
-            router.post('/deletion-request', (req, res) => this.userController.deletionRequest(req.body.token, req.body.clientToken, req.body.password).then(result => res.status(result.status).send(result.content)))
-            router.post('/verify-deletion-token', (req, res) => this.userController.verifyDeletionToken(req.body.token).then(result => res.status(result.status).send(result.content)))
-            router.post('/delete-account', (req, res) => this.userController.deleteAccount(req.body.token).then(result => res.status(result.status).send(result.content)))
+            router.post('/request-password-change', (req, res) => this.userController.requestPasswordChange(req.body.email, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/verify-password-token', (req, res) => this.userController.verifyPasswordToken(req.body.token, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/update-password', (req, res) => this.userController.updatePassword(req.body.token, req.body.password, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/deletion-request', this.#authenticate, (req, res) => this.userController.deletionRequest(req.user.id, req.body.password).then(result => res.status(result.status).send(result.content)))
+            router.post('/verify-deletion-token', (req, res) => this.userController.verifyDeletionToken(req.body.token, this.#client(req)).then(result => this.#respond(res, result)))
+            router.post('/delete-account', (req, res) => this.userController.deleteAccount(req.body.token, this.#client(req)).then(result => this.#respond(res, result)))
             router.post('/logout', (req, res) => this.userController.logOut(req.body.token, req.body.clientToken, req.body.single).then(result => res.status(result.status).send(result.content)))
+
+            // Session (device) management routes
+            router.post('/sessions', this.#authenticate, (req, res) => this.sessionController.listSessions(req.user.id, req.user.sessionId).then(result => res.status(result.status).send(result.content)))
+            router.post('/sessions/rename', this.#authenticate, (req, res) => this.sessionController.renameSession(req.user.id, req.body.id, req.body.name).then(result => res.status(result.status).send(result.content)))
+            router.post('/sessions/revoke', this.#authenticate, (req, res) => this.sessionController.revokeSession(req.user.id, req.user.sessionId, req.body.id).then(result => res.status(result.status).send(result.content)))
+
+            // Two-factor authentication routes
+            router.post('/2fa/enroll', this.#authenticate, (req, res) => this.twoFactorController.enroll(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/2fa/confirm', this.#authenticate, (req, res) => this.twoFactorController.confirm(req.user.id, req.body.code).then(result => this.#respond(res, result)))
+            router.post('/2fa/disable', this.#authenticate, (req, res) => this.twoFactorController.disable(req.user.id, req.body.code).then(result => this.#respond(res, result)))
+            router.post('/2fa/recovery-codes', this.#authenticate, (req, res) => this.twoFactorController.regenerateRecoveryCodes(req.user.id, req.body.code).then(result => this.#respond(res, result)))
             
             // AI Chat routes
-            router.post('/ai/chat', (req, res) => this.aiController.processAIChat(req.body.message, req.body.context).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/chat', this.#authenticate, (req, res) => this.chatController.chat(req.user.id, req.body.id, req.body.message).then(result => this.#respond(res, result)))
+            router.post('/ai/threads', this.#authenticate, (req, res) => this.chatController.listThreads(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/threads/create', this.#authenticate, (req, res) => this.chatController.createThread(req.user.id, req.body.title).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/threads/history', this.#authenticate, (req, res) => this.chatController.getHistory(req.user.id, req.body.id, req.body.before, req.body.limit).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/threads/message', this.#authenticate, (req, res) => this.chatController.postMessage(req.user.id, req.body.id, req.body.message).then(result => this.#respond(res, result)))
+            router.post('/ai/chat/stream', this.#authenticate, (req, res) => this.#stream(res, (signal, send) => this.chatController.chat(req.user.id, req.body.id, req.body.message, {
+                signal: signal,
+                onDelta: text => send('delta', {text: text}),
+                onRetry: retry => send('retry', retry)
+            })))
+            router.post('/ai/apply', this.#authenticate, (req, res) => this.profileController.applySuggestion(req.user.id, {
+                messageId: req.body.messageId,
+                alternative: req.body.alternative,
+                component: req.body.component,
+                replace: req.body.replace,
+                preview: req.body.preview === true || req.body.preview === 'true'
+            }).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/undo', this.#authenticate, (req, res) => this.profileController.undoSuggestion(req.user.id).then(result => res.status(result.status).send(result.content)))
+            router.post('/ai/quota', this.#authenticate, (req, res) => this.aiQuotaController.getQuota(req.user.id).then(result => res.status(result.status).send(result.content)))
+
+            // Admin routes
+            router.post('/admin/ai-quota', this.#authenticate, this.#requireAdmin, (req, res) => this.aiQuotaController.getQuota(req.body.userId).then(result => res.status(result.status).send(result.content)))
+            router.post('/admin/ai-quota/set', this.#authenticate, this.#requireAdmin, (req, res) => this.aiQuotaController.setQuota(req.body.userId, req.body.limits).then(result => res.status(result.status).send(result.content)))
             
             res(router)
         })
     }
+
+    // Middleware for routes that need a logged in user. Resolves the caller's session and attaches it as `req.user` ({id, sessionId}).
+    // If the session had expired and was refreshed, the new token is sent back in the X-Session-Token header.
+    #authenticate = (req, res, next) =>
+    {
+        const credentials = this.#credentials(req)
+        this.sessionController.authenticate(credentials, this.#client(req)).then(result =>
+        {
+            if (result.status !== 200)
+                return res.status(result.status).send(result.content)
+
+            if (result.content.token && result.content.token !== credentials.token)
+                res.set(sessionTokenHeader, result.content.token)
+
+            req.user = {
+                id: result.content.id,
+                sessionId: result.content.sessionId
+            }
+            next()
+        }).catch(next)
+    }
+
+    // Middleware for admin-only routes. Must come after #authenticate.
+    #requireAdmin = (req, res, next) =>
+    {
+        this.userController.isAdmin(req.user.id).then(admin =>
+        {
+            if (!admin)
+                return res.status(403).send('You are not allowed to do that.')
+            next()
+        }).catch(next)
+    }
+
+    // Collects the credentials of a request: an `Authorization: Bearer` access token and/or the token/clientToken pair,
+    // taken from the X-Session-Token/X-Client-Token headers or the body.
+    #credentials(req)
+    {
+        const authorization = req.get('Authorization') || ''
+        return {
+            accessToken: authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null,
+            token: req.get(sessionTokenHeader) || req.body.token,
+            clientToken: req.get(clientTokenHeader) || req.body.clientToken
+        }
+    }
+
+    // Sends a controller result, including any headers it carries (e.g. Retry-After on a 429).
+    #respond(res, result)
+    {
+        if (result.headers)
+            res.set(result.headers)
+        res.status(result.status).send(result.content)
+    }
+
+    // Runs `run(signal, send)` as a Server-Sent Events stream. `send(event, data)` writes an event, and the result it resolves to
+    // is sent as a final 'done' (or 'error') event. Results that fail before anything was streamed are sent as a regular response,
+    // so they keep their status code. If the client disconnects, `signal` aborts.
+    #stream(res, run)
+    {
+        const controller = new AbortController()
+        res.on('close', () =>
+        {
+            if (!res.writableEnded)
+                controller.abort()
+        })
+
+        const send = (event, data) =>
+        {
+            if (controller.signal.aborted)
+                return
+            if (!res.headersSent)
+            {
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                })
+                res.flushHeaders()
+            }
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+        }
+
+        run(controller.signal, send).then(result =>
+        {
+            if (controller.signal.aborted)
+                return
+            if (!res.headersSent && result.status !== 200)
+                return this.#respond(res, result)
+
+            send(result.status === 200 ? 'done' : 'error', result.content)
+            res.end()
+        }).catch(err =>
+        {
+            console.log(err)
+            if (!res.headersSent)
+                return res.status(500).send('There was an error with the current request. Try again.')
+            res.end()
+        })
+    }
+
+    // Describes the device a request comes from, for session tracking.
+    #client(req)
+    {
+        return {
+            ip: req.ip,
+            userAgent: (req.get('User-Agent') || '').substring(0, 255) || null
+        }
+    }
 }
 
 module.exports = RouterController
@@ -1,70 +1,97 @@
 const Session = require('../models/session.model')
+const SessionCache = require('../services/SessionCache')
+const {generateUniqueToken, hashToken} = require('../utils/token.util')
+const jwt = require('../utils/jwt.util')
+const config = require('../utils/config.util')
 const {v4: uuid} = require('uuid')
 
 class SessionController
 {
-    cachePool = new Map()
+    // Validated sessions, keyed by token. Shared between instances when a key-value store is configured.
+    constructor(cache = SessionCache.create())
+    {
+        this.cache = cache
+    }
+
+    // How often, at most, a session's last-seen time gets written back to the database.
+    touchInterval = 1000 * 60 * 5
 
-    generate(userId, previousToken)
+    // Lifetime of access tokens, in seconds. They can't be revoked, so keep it short.
+    accessTokenTTL = parseInt(config('ACCESS_TOKEN_TTL')) || 60 * 15
+
+    // `client` describes the device the session belongs to: {ip, userAgent, name, createdAt}.
+    // Only the token's hash is stored, the token itself is handed to the client and never kept.
+    generate(userId, previousToken, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
             // Generate tokens.
-            let token = this.#generateString(32)
-
-            Session.findOne({token: token}).then(session =>
+            let token
+            try
             {
-                if (session)
-                    token = this.#generateString(32)
-            })
+                token = await generateUniqueToken(async candidate => !!(await Session.findOne({token: hashToken(candidate)})))
+            }
+            catch (err)
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while generating the session [s1]'
+                })
+            }
 
             const clientToken = previousToken || uuid()
             const date = new Date()
             date.setDate(date.getDate() + 8);
 
             const expires = date.toISOString().split("T")[0]
+            const now = new Date()
 
-            const session = new Session(null, token, expires, clientToken, userId)
-            session.insert().then((result, err) =>
+            const session = new Session(null, hashToken(token), expires, clientToken, userId, client.name || null,
+                client.createdAt || now, now, client.ip || null, client.userAgent || null)
+            session.insert().then(([result]) =>
             {
-                if (err)
-                    return res({
-                        status: 500,
-                        content: 'There was an error while generating the session [s1]'
-                    })
                 res({
                     status: 200,
                     content: {
                         token: token,
-                        clientToken: clientToken
+                        clientToken: clientToken,
+                        sessionId: result.insertId
                     }
                 })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while generating the session [s1]'
+                })
             })
         })
     }
 
-    validate(token, clientToken)
+    validate(token, clientToken, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
             {
-                // If the token is saved in the cache map, then get it instead of contacting the database.
-                if (this.cachePool.has(token))
+                // Sessions are stored and cached by the token's hash.
+                const tokenHash = hashToken(token)
+
+                // If the token is cached, then use it instead of contacting the database.
+                const tokenContent = await this.cache.get(tokenHash)
+                if (tokenContent)
                 {
-                    const tokenContent = this.cachePool.get(token)
-                    // If the cache has expired, just delete it and proceed with the query.
-                    if (Date.now() > tokenContent.expires)
-                    {
-                        this.cachePool.delete(token)
-                    }
-                    else return res({
+                    this.#touch(tokenHash, tokenContent, client)
+                    return res({
                         status: 200,
                         content: {
-                            id: this.cachePool.get(token).id,
+                            id: tokenContent.id,
+                            sessionId: tokenContent.sessionId,
                             token: token
                         }
                     })
                 }
-                Session.findOne({token: token}).then(session =>
+                Session.findOne({token: tokenHash}).then(session =>
                 {
                     if (!session)
                         return res({
@@ -76,20 +103,22 @@ class SessionController
                     if (Date.now() > expiresDate)
                     {
                         // We want those tokens freeeeshh~~
-                        this.refresh(session, clientToken).then(result =>
+                        return this.refresh(session, clientToken, client).then(result =>
                         {
                             if (result.status !== 200)
                             {
                                 return res(result)
                             }
-                            this.cachePool.set(result.content.token, {
+                            this.cache.set(hashToken(result.content.token), {
                                 id: session.User_id,
-                                expires: Date.now() + (1000 * 60 * 30)
+                                sessionId: result.content.sessionId,
+                                lastSeen: Date.now()
                             })
                             res({
                                 status: 200,
                                 content: {
                                     id: session.User_id,
+                                    sessionId: result.content.sessionId,
                                     token: result.content.token,
                                 }
                             })
@@ -97,24 +126,125 @@ class SessionController
                     }
                     else
                     {
-                        this.cachePool.set(token, {
+                        const tokenContent = {
                             id: session.User_id,
-                            expires: Date.now() + (1000 * 60 * 30)
-                        })
+                            sessionId: session.id,
+                            lastSeen: session.lastSeen ? new Date(session.lastSeen).getTime() : 0
+                        }
+                        this.cache.set(tokenHash, tokenContent)
+                        this.#touch(tokenHash, tokenContent, client)
                         res({
                             status: 200,
                             content: {
                                 id: session.User_id,
+                                sessionId: session.id,
                                 token: token,
                             }
                         })
                     }
+                }).catch(err =>
+                {
+                    console.log(err)
+                    return res({
+                        status: 500,
+                        content: 'There has been an error.'
+                    })
                 })
             }
         )
     }
 
-    refresh(session, clientToken)
+    // Signs a short-lived access token for a session. Without a JWT secret configured, access tokens are left out.
+    issueAccessToken(userId, sessionId)
+    {
+        const secret = config('JWT_SECRET')
+        if (!secret)
+            return {}
+        return {
+            accessToken: jwt.sign({sub: userId, sid: sessionId}, secret, {expiresIn: this.accessTokenTTL}),
+            expiresIn: this.accessTokenTTL
+        }
+    }
+
+    // Authenticates a request with either an access token or the token/clientToken pair.
+    // Access tokens are checked without touching the database; if one is invalid, the pair is used instead when present.
+    authenticate({accessToken, token, clientToken} = {}, client = {})
+    {
+        return new Promise(res =>
+        {
+            if (accessToken)
+            {
+                const claims = jwt.verify(accessToken, config('JWT_SECRET'))
+                if (claims)
+                    return res({
+                        status: 200,
+                        content: {
+                            id: claims.sub,
+                            sessionId: claims.sid,
+                            token: token
+                        }
+                    })
+                if (!token || !clientToken)
+                    return res({
+                        status: 401,
+                        content: 'Invalid or expired access token.'
+                    })
+            }
+
+            if (!token || !clientToken)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            this.validate(token, clientToken, client).then(res)
+        })
+    }
+
+    // Exchanges a refresh credential (token/clientToken) for a new pair and a new access token.
+    rotate(token, clientToken, client = {})
+    {
+        return new Promise(res =>
+        {
+            if (!token || !clientToken)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            Session.findOne({token: hashToken(token)}).then(session =>
+            {
+                if (!session)
+                    return res({
+                        status: 498,
+                        content: 'Invalid token. Log in again.'
+                    })
+
+                return this.refresh(session, clientToken, client).then(result =>
+                {
+                    if (result.status !== 200)
+                        return res(result)
+                    res({
+                        status: 200,
+                        content: {
+                            token: result.content.token,
+                            clientToken: result.content.clientToken,
+                            ...this.issueAccessToken(session.User_id, result.content.sessionId)
+                        }
+                    })
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There has been an error.'
+                })
+            })
+        })
+    }
+
+    refresh(session, clientToken, client = {})
     {
         return new Promise(res =>
         {
@@ -125,19 +255,37 @@ class SessionController
                     content: 'Client tokens do not match.'
                 })
             }
-            this.generate(session.User_id, clientToken).then(result =>
+            // The refreshed session is still the same device, so it keeps its name and creation date.
+            this.generate(session.User_id, clientToken, {
+                ...client,
+                name: session.name,
+                createdAt: session.createdAt
+            }).then(result =>
             {
                 if (result.status !== 200)
                 {
                     return res(result)
                 }
-                session.delete()
-                res({
-                    status: 200,
-                    content: {
-                        token: result.content.token,
-                        clientToken: result.content.clientToken
-                    }
+                // The old token has to be gone before the new one is handed out, or it could still be used to log in.
+                session.delete().then(() =>
+                {
+                    this.cache.revoke(session.token)
+                    res({
+                        status: 200,
+                        content: {
+                            token: result.content.token,
+                            clientToken: result.content.clientToken,
+                            sessionId: result.content.sessionId
+                        }
+                    })
+                }).catch(err =>
+                {
+                    console.log(err)
+                    // The old session is kept, so the new one is dropped and the client can try again with its current tokens.
+                    Session.deleteMany({id: result.content.sessionId}).catch(err => console.log(err)).then(() => res({
+                        status: 500,
+                        content: 'There was an error while refreshing the session [s2]'
+                    }))
                 })
             })
         })
@@ -147,7 +295,7 @@ class SessionController
     {
         return new Promise(res =>
         {
-            Session.findOne({token: token}).then(session =>
+            Session.findOne({token: hashToken(token)}).then(session =>
             {
                 if (!session)
                     return res({status: 403, content: 'Token is invalid'})
@@ -163,7 +311,7 @@ class SessionController
                 if (single)
                     return session.delete().then(result =>
                     {
-                        this.cachePool.delete(session.token)
+                        this.cache.revoke(session.token)
                         return res({
                             status: 200,
                             content: {
@@ -179,9 +327,13 @@ class SessionController
                         })
                     })
 
-                Session.deleteMany({User_id: session.User_id}).then(result =>
+                // Every token of the user has to be revoked, not just the caller's, so look them up first.
+                Session.findAll({User_id: session.User_id}).then(sessions =>
+                    Session.deleteMany({User_id: session.User_id}).then(() =>
+                        Promise.all(sessions.map(userSession => this.cache.revoke(userSession.token)))
+                    )
+                ).then(result =>
                 {
-                    this.cachePool.delete(session.token)
                     return res({
                         status: 200,
                         content: {
@@ -201,18 +353,153 @@ class SessionController
         })
     }
 
-    #generateString(length)
+    // `currentSessionId` is the caller's own session, which gets flagged in the list.
+    listSessions(userId, currentSessionId)
     {
-        let result = '';
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-        const charactersLength = characters.length;
-        let counter = 0;
-        while (counter < length)
+        return new Promise(res =>
         {
-            result += characters.charAt(Math.floor(Math.random() * charactersLength));
-            counter += 1;
-        }
-        return result;
+            Session.findAll({User_id: userId}).then(sessions =>
+            {
+                res({
+                    status: 200,
+                    content: {
+                        sessions: sessions.map(session => ({
+                            id: session.id,
+                            name: session.name,
+                            createdAt: session.createdAt,
+                            lastSeen: session.lastSeen,
+                            ip: session.ip,
+                            userAgent: session.userAgent,
+                            expires: session.expires,
+                            current: session.id === currentSessionId
+                        }))
+                    }
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There has been an error.'
+                })
+            })
+        })
+    }
+
+    renameSession(userId, sessionId, name)
+    {
+        return new Promise(res =>
+        {
+            if (!sessionId || typeof name !== 'string')
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            if (name.trim().length > 64)
+                return res({
+                    status: 400,
+                    content: 'Session names can be up to 64 characters long.'
+                })
+
+            this.#findOwnSession(userId, sessionId).then(result =>
+            {
+                if (result.status !== 200)
+                    return res(result)
+
+                result.content.rename(name.trim() || null).then(() =>
+                {
+                    res({
+                        status: 200,
+                        content: {message: 'Session renamed successfully.'}
+                    })
+                }).catch(err =>
+                {
+                    console.log(err)
+                    return res({
+                        status: 500,
+                        content: 'There has been an error.'
+                    })
+                })
+            })
+        })
+    }
+
+    revokeSession(userId, currentSessionId, sessionId)
+    {
+        return new Promise(res =>
+        {
+            if (!sessionId)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            this.#findOwnSession(userId, sessionId).then(result =>
+            {
+                if (result.status !== 200)
+                    return res(result)
+
+                const session = result.content
+                session.delete().then(() =>
+                {
+                    this.cache.revoke(session.token)
+                    res({
+                        status: 200,
+                        content: {
+                            // If the current session was revoked, the client must log in again.
+                            loggedOut: session.id === currentSessionId,
+                            message: 'Session revoked successfully.'
+                        }
+                    })
+                }).catch(err =>
+                {
+                    console.log(err)
+                    return res({
+                        status: 500,
+                        content: 'There has been an error.'
+                    })
+                })
+            })
+        })
+    }
+
+    // Finds one of the user's sessions by id.
+    #findOwnSession(userId, sessionId)
+    {
+        return new Promise(res =>
+        {
+            Session.findOne({id: sessionId, User_id: userId}).then(session =>
+            {
+                if (!session)
+                    return res({
+                        status: 404,
+                        content: 'There is no session with that id.'
+                    })
+
+                res({
+                    status: 200,
+                    content: session
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There has been an error.'
+                })
+            })
+        })
+    }
+
+    #touch(tokenHash, tokenContent, client)
+    {
+        if (Date.now() - tokenContent.lastSeen < this.touchInterval)
+            return
+        tokenContent.lastSeen = Date.now()
+        // Write the new last-seen time back so other instances don't touch the session again.
+        this.cache.set(tokenHash, tokenContent)
+        Session.touch(tokenContent.sessionId, client.ip, client.userAgent).catch(err => console.log(err))
     }
 
 }
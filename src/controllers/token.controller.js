@@ -0,0 +1,116 @@
+const Token = require('../models/token.model')
+const logger = require('../utils/logger.util')
+const {generateUniqueToken, hashToken} = require('../utils/token.util')
+
+class TokenController
+{
+    // How long each kind of emailed token stays valid, in milliseconds.
+    lifetimes = {
+        verification: 1000 * 60 * 60 * 24,
+        password_reset: 1000 * 60 * 60,
+        deletion: 1000 * 60 * 60,
+        login_challenge: 1000 * 60 * 5
+    }
+
+    sweepInterval = 1000 * 60 * 15
+    sweeper = null
+
+    // Resolves to the token to email. Only its hash is stored, so the database alone can't be used to redeem it.
+    issue(purpose, {userId = null, payload = null, singleUse = true, lifetime = null} = {})
+    {
+        return new Promise((res, rej) =>
+        {
+            generateUniqueToken(async candidate => !!(await Token.findOne({token: hashToken(candidate)}))).then(token =>
+            {
+                const expires = new Date(Date.now() + (lifetime || this.lifetimes[purpose]))
+
+                const record = new Token(null, hashToken(token), purpose, payload, expires, singleUse, null, userId)
+                return record.insert().then(() => res(token))
+            }).catch(rej)
+        })
+    }
+
+    // Returns the token's record if it exists, belongs to the given purpose, hasn't expired and hasn't been used.
+    find(token, purpose)
+    {
+        return new Promise(res =>
+        {
+            if (!token)
+                return res(null)
+
+            Token.findOne({token: hashToken(token), purpose: purpose}).then(record =>
+            {
+                if (!record || record.usedAt || record.isExpired())
+                    return res(null)
+                res(record)
+            }).catch(err =>
+            {
+                logger.error('Token lookup failed', {
+                    purpose,
+                    error: err.message,
+                    errorType: 'token_lookup_error'
+                })
+                res(null)
+            })
+        })
+    }
+
+    // Same as find(), but also redeems single-use tokens. Resolves to null if the token was already redeemed.
+    consume(token, purpose)
+    {
+        return new Promise(res =>
+        {
+            this.find(token, purpose).then(record =>
+            {
+                if (!record || !record.singleUse)
+                    return res(record)
+
+                record.markUsed().then(won => res(won ? record : null)).catch(err =>
+                {
+                    logger.error('Token redemption failed', {
+                        purpose,
+                        error: err.message,
+                        errorType: 'token_redeem_error'
+                    })
+                    res(null)
+                })
+            })
+        })
+    }
+
+    // Invalidates every outstanding token of a kind for a user, so only the latest email works.
+    revoke(purpose, userId)
+    {
+        return Token.deleteMany({purpose: purpose, User_id: userId})
+    }
+
+    sweep()
+    {
+        return Token.sweep().then(([result]) =>
+        {
+            if (result.affectedRows > 0)
+                logger.debug('Swept expired tokens', {removed: result.affectedRows})
+        }).catch(err =>
+        {
+            logger.error('Token sweep failed', {
+                error: err.message,
+                errorType: 'token_sweep_error'
+            })
+        })
+    }
+
+    startSweeper()
+    {
+        if (this.sweeper)
+            return
+        this.sweeper = setInterval(() => this.sweep(), this.sweepInterval)
+    }
+
+    stopSweeper()
+    {
+        clearInterval(this.sweeper)
+        this.sweeper = null
+    }
+}
+
+module.exports = TokenController
@@ -0,0 +1,277 @@
+const TwoFactor = require('../models/twofactor.model')
+const RecoveryCode = require('../models/recoverycode.model')
+const User = require('../models/user.model')
+const totp = require('../utils/totp.util')
+const {generateToken, hashToken} = require('../utils/token.util')
+const config = require('../utils/config.util')
+
+class TwoFactorController
+{
+    recoveryCodeCount = 10
+
+    // Recovery codes are typed in by hand, so they leave out look-alike characters.
+    recoveryCodeAlphabet = 'abcdefghjkmnpqrstuvwxyz23456789'
+
+    constructor(guardController)
+    {
+        this.guardController = guardController
+    }
+
+    isEnabled(userId)
+    {
+        return TwoFactor.findOne({User_id: userId}).then(twoFactor => !!twoFactor && twoFactor.enabled)
+    }
+
+    // Starts enrollment with a new secret. It only takes effect once a code from it is confirmed.
+    enroll(userId)
+    {
+        return new Promise(res =>
+        {
+            Promise.all([User.findOne({id: userId}), TwoFactor.findOne({User_id: userId})]).then(async ([user, existing]) =>
+            {
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
+
+                if (existing && existing.enabled)
+                    return res({
+                        status: 409,
+                        content: 'Two-factor authentication is already enabled.'
+                    })
+
+                // Restarting enrollment replaces the previous, unconfirmed secret.
+                if (existing)
+                    await existing.delete()
+
+                const secret = totp.generateSecret()
+                await new TwoFactor(userId, secret, false, null, new Date(), null).insert()
+
+                res({
+                    status: 200,
+                    content: {
+                        secret: secret,
+                        otpauthURI: totp.otpauthURI({
+                            secret: secret,
+                            label: user.username,
+                            issuer: config('TOTP_ISSUER') || 'rar.vg'
+                        })
+                    }
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while enabling two-factor authentication. [t1]'
+                })
+            })
+        })
+    }
+
+    // Finishes enrollment. Resolves with the user's recovery codes, which are only shown this once.
+    confirm(userId, code)
+    {
+        return new Promise(res =>
+        {
+            if (!code)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            TwoFactor.findOne({User_id: userId}).then(async twoFactor =>
+            {
+                if (!twoFactor)
+                    return res({
+                        status: 404,
+                        content: 'Two-factor enrollment has not been started.'
+                    })
+
+                if (twoFactor.enabled)
+                    return res({
+                        status: 409,
+                        content: 'Two-factor authentication is already enabled.'
+                    })
+
+                const rejected = await this.#checkCode(userId, () => this.#verifyTotp(twoFactor, code))
+                if (rejected)
+                    return res(rejected)
+
+                await twoFactor.enable()
+                const recoveryCodes = await this.#issueRecoveryCodes(userId)
+
+                res({
+                    status: 200,
+                    content: {
+                        message: 'Two-factor authentication was enabled successfully.',
+                        recoveryCodes: recoveryCodes
+                    }
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while enabling two-factor authentication. [t2]'
+                })
+            })
+        })
+    }
+
+    // Turning 2FA off requires a current code (or a recovery code), not just a session.
+    disable(userId, code)
+    {
+        return new Promise(res =>
+        {
+            if (!code)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            this.#checkCode(userId, () => this.verify(userId, code)).then(async rejected =>
+            {
+                if (rejected)
+                    return res(rejected)
+
+                await this.remove(userId)
+
+                res({
+                    status: 200,
+                    content: {message: 'Two-factor authentication was disabled successfully.'}
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while disabling two-factor authentication. [t3]'
+                })
+            })
+        })
+    }
+
+    // Replaces every recovery code of the user with a new set.
+    regenerateRecoveryCodes(userId, code)
+    {
+        return new Promise(res =>
+        {
+            if (!code)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            TwoFactor.findOne({User_id: userId}).then(async twoFactor =>
+            {
+                if (!twoFactor || !twoFactor.enabled)
+                    return res({
+                        status: 409,
+                        content: 'Two-factor authentication is not enabled.'
+                    })
+
+                const rejected = await this.#checkCode(userId, () => this.#verifyTotp(twoFactor, code))
+                if (rejected)
+                    return res(rejected)
+
+                res({
+                    status: 200,
+                    content: {recoveryCodes: await this.#issueRecoveryCodes(userId)}
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: 'There was an error while generating recovery codes. [t4]'
+                })
+            })
+        })
+    }
+
+    // Checks a code from the user's authenticator app, or one of their recovery codes. Either can only be used once.
+    async verify(userId, code)
+    {
+        if (!code)
+            return false
+
+        const twoFactor = await TwoFactor.findOne({User_id: userId})
+        if (!twoFactor || !twoFactor.enabled)
+            return false
+
+        if (await this.#verifyTotp(twoFactor, code))
+            return true
+
+        return this.#redeemRecoveryCode(userId, code)
+    }
+
+    // Removes the user's 2FA secret and recovery codes.
+    remove(userId)
+    {
+        return Promise.all([
+            TwoFactor.findOne({User_id: userId}).then(twoFactor => twoFactor && twoFactor.delete()),
+            RecoveryCode.deleteMany({User_id: userId})
+        ])
+    }
+
+    // Codes checked from within a session are throttled per user, so a stolen session can't be used to guess them.
+    // Resolves to the response for a blocked or wrong code, or null if the code is right.
+    async #checkCode(userId, verify)
+    {
+        const identity = {account: 'user-' + userId}
+        const blocked = await this.guardController.check('two_factor', identity)
+        if (blocked)
+            return blocked
+
+        if (!(await verify()))
+        {
+            await this.guardController.fail('two_factor', identity)
+            return {
+                status: 403,
+                content: 'The provided code is incorrect.'
+            }
+        }
+
+        this.guardController.succeed('two_factor', identity)
+        return null
+    }
+
+    async #verifyTotp(twoFactor, code)
+    {
+        const step = totp.verify(code, twoFactor.secret)
+        if (step === null)
+            return false
+        return twoFactor.useStep(step)
+    }
+
+    async #redeemRecoveryCode(userId, code)
+    {
+        const recoveryCode = await RecoveryCode.findOne({User_id: userId, code: hashToken(this.#normalizeRecoveryCode(code))})
+        if (!recoveryCode || recoveryCode.usedAt)
+            return false
+        return recoveryCode.markUsed()
+    }
+
+    async #issueRecoveryCodes(userId)
+    {
+        await RecoveryCode.deleteMany({User_id: userId})
+
+        const codes = []
+        for (let i = 0; i < this.recoveryCodeCount; i++)
+        {
+            const code = generateToken(10, this.recoveryCodeAlphabet)
+            await new RecoveryCode(null, userId, hashToken(code), null).insert()
+            codes.push(code.substring(0, 5) + '-' + code.substring(5))
+        }
+        return codes
+    }
+
+    #normalizeRecoveryCode(code)
+    {
+        return String(code).toLowerCase().replace(/[\s-]/g, '')
+    }
+}
+
+module.exports = TwoFactorController
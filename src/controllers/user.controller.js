@@ -1,16 +1,25 @@
 const User = require('../models/user.model')
+const AIQuota = require('../models/aiquota.model')
+const AIUsage = require('../models/aiusage.model')
+const ChatThread = require('../models/chatthread.model')
+const ProfileRevision = require('../models/profilerevision.model')
+const {validateProfile} = require('../utils/profile-schema.util')
 const bcrypt = require('bcrypt')
 
+// Where a profile update can say it comes from. Other sources are only recorded by the server.
+const updateSources = ['manual', 'import']
+
 class UserController
 {
-    verificationTokens = new Map()
-    passwordResetTokens = new Map()
-    deletionTokens = new Map()
-
-    constructor(sessionController, emailController)
+    constructor(sessionController, emailController, tokenController, twoFactorController, guardController, profileController, fileController)
     {
         this.sessionController = sessionController
         this.emailController = emailController
+        this.tokenController = tokenController
+        this.twoFactorController = twoFactorController
+        this.guardController = guardController
+        this.profileController = profileController
+        this.fileController = fileController
     }
 
     getProfile(username)
@@ -29,6 +38,10 @@ class UserController
                 delete user.email
                 delete user.password
                 delete user.dateOfBirth
+                delete user.role
+                // Only the published profile is public.
+                delete user.draftComponents
+                delete user.draftProfileDesign
 
                 // Create a non-proprietary Object using the User class' instance, because JS sucks.
                 const {...userObj} = user
@@ -41,50 +54,71 @@ class UserController
         })
     }
 
-    login(data)
+    login(data, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
             if (!data.email || !data.password)
                 return res({
                     status: 400,
                     content: 'Missing parameters'
                 })
+
+            const identity = {ip: client.ip, account: data.email}
+            const blocked = await this.guardController.check('login', identity)
+            if (blocked)
+                return res(blocked)
+
             User.findOne({email: data.email}).then(user =>
             {
                 if (!user)
+                {
+                    this.guardController.fail('login', identity)
                     return res({
                         status: 403,
                         content: 'The provided email or password are incorrect.'
                     })
+                }
                 bcrypt.compare(data.password, user.password, (err, result) =>
                 {
                     if (err) return res({
                         status: 500,
                         content: "There was an error while logging in. [u1]"
                     })
-                    if (!result) return res({
-                        status: 403,
-                        content: "The provided email or password are incorrect."
-                    })
-                    this.sessionController.generate(user.id, null).then(session =>
+                    if (!result)
+                    {
+                        this.guardController.fail('login', identity, user.email)
+                        return res({
+                            status: 403,
+                            content: "The provided email or password are incorrect."
+                        })
+                    }
+                    const deviceName = typeof data.deviceName === 'string' ? data.deviceName.trim().substring(0, 64) : null
+                    this.twoFactorController.isEnabled(user.id).then(enabled =>
                     {
-                        if (session.status !== 200)
-                            return res(session)
-                        res({
+                        if (!enabled)
+                        {
+                            this.guardController.succeed('login', identity)
+                            return this.#startSession(user, deviceName, client).then(res)
+                        }
+
+                        // The password is right, but the session is only created once the second factor is completed at /login/2fa.
+                        return this.tokenController.issue('login_challenge', {
+                            userId: user.id,
+                            payload: {deviceName: deviceName}
+                        }).then(challenge => res({
                             status: 200,
                             content: {
-                                token: session.content.token,
-                                clientToken: session.content.clientToken,
-                                user: {
-                                    id: user.id,
-                                    username: user.username,
-                                    displayName: user.displayName,
-                                    components: user.components,
-                                    sociallinks: user.sociallinks,
-                                    profileDesign: user.profileDesign
-                                }
+                                twoFactorRequired: true,
+                                challenge: challenge
                             }
+                        }))
+                    }).catch(err =>
+                    {
+                        console.log(err)
+                        return res({
+                            status: 500,
+                            content: "There was an error while logging in. [u5]"
                         })
                     })
                 })
@@ -92,6 +126,97 @@ class UserController
         })
     }
 
+    // Second step of a login for users with two-factor authentication. `code` may also be a recovery code.
+    completeTwoFactorLogin(challenge, code, client = {})
+    {
+        return new Promise(res =>
+        {
+            if (!challenge || !code)
+                return res({
+                    status: 400,
+                    content: 'Missing parameters.'
+                })
+
+            this.tokenController.find(challenge, 'login_challenge').then(record =>
+            {
+                if (!record)
+                    return res({
+                        status: 403,
+                        content: 'The login attempt has expired. Log in again.'
+                    })
+
+                return User.findOne({id: record.User_id}).then(async user =>
+                {
+                    if (!user)
+                        return res({
+                            status: 403,
+                            content: 'The login attempt has expired. Log in again.'
+                        })
+
+                    // Wrong codes count towards the same limits as wrong passwords.
+                    const identity = {ip: client.ip, account: user.email}
+                    const blocked = await this.guardController.check('login', identity)
+                    if (blocked)
+                        return res(blocked)
+
+                    if (!(await this.twoFactorController.verify(user.id, code)))
+                    {
+                        this.guardController.fail('login', identity, user.email)
+                        return res({
+                            status: 403,
+                            content: 'The provided code is incorrect.'
+                        })
+                    }
+
+                    if (!(await this.tokenController.consume(challenge, 'login_challenge')))
+                        return res({
+                            status: 403,
+                            content: 'The login attempt has expired. Log in again.'
+                        })
+
+                    this.guardController.succeed('login', identity)
+                    return this.#startSession(user, record.payload ? record.payload.deviceName : null, client).then(res)
+                })
+            }).catch(err =>
+            {
+                console.log(err)
+                return res({
+                    status: 500,
+                    content: "There was an error while logging in. [u6]"
+                })
+            })
+        })
+    }
+
+    // Creates the session a successful login hands out.
+    #startSession(user, deviceName, client)
+    {
+        return this.sessionController.generate(user.id, null, {
+            ...client,
+            name: deviceName
+        }).then(session =>
+        {
+            if (session.status !== 200)
+                return session
+            return {
+                status: 200,
+                content: {
+                    token: session.content.token,
+                    clientToken: session.content.clientToken,
+                    ...this.sessionController.issueAccessToken(user.id, session.content.sessionId),
+                    user: {
+                        id: user.id,
+                        username: user.username,
+                        displayName: user.displayName,
+                        components: user.components,
+                        sociallinks: user.sociallinks,
+                        profileDesign: user.profileDesign
+                    }
+                }
+            }
+        })
+    }
+
     register(data)
     {
         return new Promise(async res =>
@@ -123,53 +248,72 @@ class UserController
                             content: 'There was an error while creating the account. [u2]'
                         })
 
-                    // Generate verification token
-                    const verificationToken = this.#generateString(32)
-                    this.verificationTokens.set(verificationToken, {
-                        username: data.username.toLowerCase(),
-                        password: hash,
-                        displayName: data.displayName,
-                        email: data.email.toLowerCase(),
-                        creationDate: new Date(Date.now()).toISOString().split('T')[0],
-                        dateOfBirth: data.dateOfBirth
-                    })
-
-                    this.emailController.connect().then(conn => conn.send('Verify your rar.vg account',
-                        'Thank you for registering!\nTo verify your account, click on this link: https://www.rar.vg/verify?vt=' + verificationToken,
-                        data.email.toLowerCase()).then(result =>
+                    // Generate verification token, keeping the pending account within it.
+                    this.tokenController.issue('verification', {
+                        payload: {
+                            username: data.username.toLowerCase(),
+                            password: hash,
+                            displayName: data.displayName,
+                            email: data.email.toLowerCase(),
+                            creationDate: new Date(Date.now()).toISOString().split('T')[0],
+                            dateOfBirth: data.dateOfBirth
+                        }
+                    }).then(verificationToken =>
                     {
+                        this.emailController.connect().then(conn => conn.send('Verify your rar.vg account',
+                            'Thank you for registering!\nTo verify your account, click on this link: https://www.rar.vg/verify?vt=' + verificationToken,
+                            data.email.toLowerCase()).then(result =>
+                        {
+                            return res({
+                                status: 200,
+                                content: {response: 'The email was sent successfully.'}
+                            })
+                        }))
+                    }).catch(err =>
+                    {
+                        console.log(err)
                         return res({
-                            status: 200,
-                            content: {response: 'The email was sent successfully.'}
+                            status: 500,
+                            content: 'There was an error while creating the account. [u4]'
                         })
-                    }))
+                    })
                 })
             })
         })
     }
 
-    requestPasswordChange(email)
+    requestPasswordChange(email, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
             if (!email)
                 return res({status: 400, content: "Missing email."})
 
+            // Every request counts as an attempt, which caps how many reset emails can be triggered.
+            const identity = {ip: client.ip, account: email}
+            const blocked = await this.guardController.check('password_reset', identity)
+            if (blocked)
+                return res(blocked)
+            this.guardController.fail('password_reset', identity)
+
             User.findOne({email: email}).then(user =>
             {
                 if (user)
                 {
-                    const resetToken = this.#generateString(32)
-                    this.passwordResetTokens.set(resetToken, user.id)
-
-                    this.emailController.connect().then(client =>
-                    {
-                        client.send('Reset your rar.vg password',
-                            'A password change to the rar.vg account associated with this email has been requested.\n' +
-                            'If it wasn\'t you, ignore this email.\n' +
-                            'If it was you, use the following link to reset your password: https://www.rar.vg/change-password?t=' + resetToken,
-                            email)
-                    })
+                    // Only the most recent reset link should work.
+                    this.tokenController.revoke('password_reset', user.id)
+                        .then(() => this.tokenController.issue('password_reset', {userId: user.id}))
+                        .then(resetToken =>
+                        {
+                            this.emailController.connect().then(conn =>
+                            {
+                                conn.send('Reset your rar.vg password',
+                                    'A password change to the rar.vg account associated with this email has been requested.\n' +
+                                    'If it wasn\'t you, ignore this email.\n' +
+                                    'If it was you, use the following link to reset your password: https://www.rar.vg/change-password?t=' + resetToken,
+                                    email)
+                            })
+                        }).catch(err => console.log(err))
                 }
 
                 return res({
@@ -180,55 +324,73 @@ class UserController
         })
     }
 
-    verifyPasswordToken(token)
+    verifyPasswordToken(token, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
-            if (!this.passwordResetTokens.has(token))
+            const blocked = await this.guardController.check('token', {ip: client.ip})
+            if (blocked)
+                return res(blocked)
+
+            this.tokenController.find(token, 'password_reset').then(record =>
+            {
+                if (!record)
+                {
+                    this.guardController.fail('token', {ip: client.ip})
+                    return res({
+                        status: 403,
+                        content: "The provided token is invalid. Request a new password change."
+                    })
+                }
+
                 return res({
-                    status: 403,
-                    content: "The provided token is invalid. Request a new password change."
+                    status: 200,
+                    content: {response: 'Curiosity killed the cat'}
                 })
-
-            return res({
-                status: 200,
-                content: {response: 'Curiosity killed the cat'}
             })
         })
     }
 
-    updatePassword(token, password)
+    updatePassword(token, password, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
             if (!password || !token)
                 return res({status: 400, content: "Missing parameters."})
 
-            if (!this.passwordResetTokens.has(token))
-                return res({status: 403, content: "Token is invalid."})
+            const blocked = await this.guardController.check('token', {ip: client.ip})
+            if (blocked)
+                return res(blocked)
 
-            const id = this.passwordResetTokens.get(token)
-            User.findOne({id: id}).then(user =>
+            this.tokenController.consume(token, 'password_reset').then(record =>
             {
-                if (!user)
-                    return res({status: 500, content: "Token was linked to a nonexistent user."})
-                bcrypt.hash(password.trim(), 5, (err, hash) =>
+                if (!record)
                 {
-                    if (err)
-                        return res({
-                            status: 500,
-                            content: 'There was an error while updating the password.'
-                        })
+                    this.guardController.fail('token', {ip: client.ip})
+                    return res({status: 403, content: "Token is invalid."})
+                }
 
-                    user.update({password: hash}).then(result =>
+                User.findOne({id: record.User_id}).then(user =>
+                {
+                    if (!user)
+                        return res({status: 500, content: "Token was linked to a nonexistent user."})
+                    bcrypt.hash(password.trim(), 5, (err, hash) =>
                     {
-                        if (result.status !== 200)
-                            return res(result)
+                        if (err)
+                            return res({
+                                status: 500,
+                                content: 'There was an error while updating the password.'
+                            })
 
-                        this.passwordResetTokens.delete(token)
-                        return res({
-                            status: 200,
-                            content: {message: 'Updated successfully.'}
+                        user.update({password: hash}).then(result =>
+                        {
+                            if (result.status !== 200)
+                                return res(result)
+
+                            return res({
+                                status: 200,
+                                content: {message: 'Updated successfully.'}
+                            })
                         })
                     })
                 })
@@ -240,39 +402,40 @@ class UserController
     {
         return new Promise(res =>
         {
-            if (!this.verificationTokens.has(token))
-                return res({
-                    status: 403,
-                    content: 'The provided token is invalid.'
-                })
-
-            const user = this.verificationTokens.get(token)
-
-            User.findOne({username: user.username}, {email: user.email}).then(u =>
+            this.tokenController.consume(token, 'verification').then(record =>
             {
-                if (u)
-                {
+                if (!record)
                     return res({
-                        status: 400,
-                        content: 'While you were verifying your account, another user has registered with those credentials.'
+                        status: 403,
+                        content: 'The provided token is invalid.'
                     })
-                }
 
-                const newUser = new User(null, user.username, user.password, user.displayName, user.email,
-                    user.creationDate, user.dateOfBirth, [], [], {design: 1, colour: 0})
-                newUser.insert().then((result, err) =>
+                const user = record.payload
+
+                User.findOne({username: user.username}, {email: user.email}).then(u =>
                 {
-                    if (err)
+                    if (u)
+                    {
                         return res({
-                            status: 500,
-                            content: 'There was an error while creating the account. [u3]'
+                            status: 400,
+                            content: 'While you were verifying your account, another user has registered with those credentials.'
                         })
+                    }
 
-                    this.verificationTokens.delete(token)
+                    const newUser = new User(null, user.username, user.password, user.displayName, user.email,
+                        user.creationDate, user.dateOfBirth, [], [], {design: 1, colour: 0})
+                    newUser.insert().then((result, err) =>
+                    {
+                        if (err)
+                            return res({
+                                status: 500,
+                                content: 'There was an error while creating the account. [u3]'
+                            })
 
-                    return res({
-                        status: 200,
-                        content: {response: 'The user was verified successfully.'}
+                        return res({
+                            status: 200,
+                            content: {response: 'The user was verified successfully.'}
+                        })
                     })
                 })
             })
@@ -280,43 +443,84 @@ class UserController
     }
 
 
-    updateProfile(token, clientToken, displayName, components, sociallinks, profileDesign)
+    updateProfile(userId, displayName, components, sociallinks, profileDesign, source = 'manual')
     {
         return new Promise(res =>
         {
-            if (!components || !token || !clientToken || !displayName || !sociallinks)
+            if (!components || !displayName || !sociallinks)
                 return res({
                     status: 400,
                     content: 'Missing parameters.'
                 })
+            if (!updateSources.includes(source))
+                return res({
+                    status: 400,
+                    content: 'The source must be one of ' + updateSources.join(', ') + '.'
+                })
+
+            // Clients send the JSON fields either as they are or as strings.
+            const profile = {displayName: displayName}
+            const errors = []
+            for (const [field, value] of Object.entries({components, sociallinks, profileDesign}))
+            {
+                if (value == null)
+                    continue
+                try
+                {
+                    profile[field] = typeof value === 'string' ? JSON.parse(value) : value
+                }
+                catch (err)
+                {
+                    errors.push({field: field, message: 'must be valid JSON'})
+                }
+            }
+            errors.push(...validateProfile(profile))
+            if (errors.length > 0)
+                return res({
+                    status: 400,
+                    content: {message: 'Some fields are invalid.', errors: errors}
+                })
+
             try
             {
-                this.sessionController.validate(token, clientToken).then(sessionResult =>
+                User.findOne({id: userId}).then(user =>
                 {
-                    if (sessionResult.status !== 200)
-                        return res(sessionResult)
-                    User.findOne({id: sessionResult.content.id}).then(user =>
+                    if (!user)
+                        return res({
+                            status: 500,
+                            content: 'There was an error within the current session. Please log in again.'
+                        })
+                    const previous = {
+                        displayName: user.displayName,
+                        components: user.components,
+                        sociallinks: user.sociallinks,
+                        profileDesign: user.profileDesign
+                    }
+                    // Publishing replaces any draft, which would otherwise still be shown to the owner and published over this later.
+                    const defSyntax = {
+                        displayName: displayName,
+                        components: JSON.stringify(profile.components),
+                        sociallinks: JSON.stringify(profile.sociallinks),
+                        draftComponents: null,
+                        draftProfileDesign: null
+                    }
+                    user.update((profile.profileDesign != null ? {
+                        ...defSyntax,
+                        profileDesign: JSON.stringify(profile.profileDesign)
+                    } : defSyntax)).then(updateResult =>
                     {
-                        if (!user)
-                            return res({
-                                status: 500,
-                                content: 'There was an error within the current session. Please log in again.'
-                            })
-                        const defSyntax = {
-                            displayName: displayName,
-                            components: components,
-                            sociallinks: sociallinks,
-                        }
-                        user.update((profileDesign != null ? {
-                            ...defSyntax,
-                            profileDesign: profileDesign
-                        } : defSyntax)).then(updateResult =>
+                        if (updateResult.status !== 200)
+                            return res(updateResult)
+                        // The update went through either way; a missing revision only leaves a gap in the history.
+                        this.profileController.recordRevision(user, source, previous).then(revision => res({
+                            status: 200,
+                            content: {message: 'Profile was updated successfully.', revision: revision.id}
+                        })).catch(err =>
                         {
-                            if (updateResult.status !== 200)
-                                return res(updateResult)
+                            console.log(err)
                             res({
                                 status: 200,
-                                content: {token: token, message: 'Profile was updated successfully.'}
+                                content: {message: 'Profile was updated successfully.', revision: null}
                             })
                         })
                     })
@@ -333,33 +537,32 @@ class UserController
         })
     }
 
-    getUser(token, clientToken)
+    getUser(userId)
     {
         return new Promise(res =>
         {
-            if (!token || !clientToken)
-                return res({
-                    status: 400,
-                    content: 'Missing parameters.'
-                })
             try
             {
-                this.sessionController.validate(token, clientToken).then(sessionResult =>
+                User.findOne({id: userId}).then(user =>
                 {
-                    if (sessionResult.status !== 200)
-                        return res(sessionResult)
-                    User.findOne({id: sessionResult.content.id}).then(user =>
-                    {
-                        if (!user)
-                            return res({
-                                status: 500,
-                                content: 'There was an error within the current session. Please log in again.'
-                            })
-                        delete user.password
+                    if (!user)
                         return res({
-                            status: 200,
-                            content: {token: token, user: user}
+                            status: 500,
+                            content: 'There was an error within the current session. Please log in again.'
                         })
+                    delete user.password
+
+                    // The owner gets their draft, if there is one, in place of the published components and design.
+                    const {draftComponents, draftProfileDesign, ...userObj} = user
+                    const hasDraft = draftComponents != null || draftProfileDesign != null
+                    if (hasDraft)
+                    {
+                        userObj.components = draftComponents ?? user.components
+                        userObj.profileDesign = draftProfileDesign ?? user.profileDesign
+                    }
+                    return res({
+                        status: 200,
+                        content: {user: userObj, hasDraft: hasDraft}
                     })
                 })
             }
@@ -390,43 +593,37 @@ class UserController
         })
     }
 
-    deletionRequest(token, clientToken, password)
+    deletionRequest(userId, password)
     {
         return new Promise(res =>
         {
-            if (!token || !clientToken || !password)
+            if (!password)
                 return res({
                     status: 400,
                     content: 'Missing parameters.'
                 })
 
-            this.sessionController.validate(token, clientToken).then(sessionResult =>
+            User.findOne({id: userId}).then(user =>
             {
-                if (sessionResult.status !== 200)
-                    return res(sessionResult)
+                if (!user)
+                    return res({
+                        status: 500,
+                        content: 'There was an error within the current session. Please log in again.'
+                    })
 
-                User.findOne({id: sessionResult.content.id}).then(user =>
+                bcrypt.compare(password, user.password, (err, result) =>
                 {
-                    if (!user)
-                        return res({
-                            status: 500,
-                            content: 'There was an error within the current session. Please log in again.'
-                        })
+                    if (err) return res({
+                        status: 500,
+                        content: "There was an error. [d1]"
+                    })
+                    if (!result) return res({
+                        status: 403,
+                        content: "The provided password is incorrect."
+                    })
 
-                    bcrypt.compare(password, user.password, (err, result) =>
+                    this.tokenController.issue('deletion', {userId: user.id}).then(deletionToken =>
                     {
-                        if (err) return res({
-                            status: 500,
-                            content: "There was an error. [d1]"
-                        })
-                        if (!result) return res({
-                            status: 403,
-                            content: "The provided password is incorrect."
-                        })
-
-                        const deletionToken = this.#generateString(32)
-                        this.deletionTokens.set(deletionToken, user.id)
-
                         this.emailController.connect().then(conn => conn.send('rar.vg Account deletion',
                             'An account deletion request has been received.\n' +
                             'If it wasn\'t you, then your password may be compromised. Be sure to change it by clicking this link: https://www.rar.vg/forgot-password\n' +
@@ -438,70 +635,94 @@ class UserController
                                 content: {response: 'The email was sent successfully.'}
                             })
                         }))
+                    }).catch(err =>
+                    {
+                        console.log(err)
+                        return res({
+                            status: 500,
+                            content: "There was an error. [d2]"
+                        })
                     })
                 })
             })
         })
     }
 
-    verifyDeletionToken(token)
+    verifyDeletionToken(token, client = {})
     {
-        return new Promise(res =>
+        return new Promise(async res =>
         {
-            if (!this.deletionTokens.has(token))
+            const blocked = await this.guardController.check('token', {ip: client.ip})
+            if (blocked)
+                return res(blocked)
+
+            this.tokenController.find(token, 'deletion').then(record =>
+            {
+                if (!record)
+                {
+                    this.guardController.fail('token', {ip: client.ip})
+                    return res({
+                        status: 403,
+                        content: "The provided token is invalid. Try again."
+                    })
+                }
+
                 return res({
-                    status: 403,
-                    content: "The provided token is invalid. Try again."
+                    status: 200,
+                    content: {response: 'Curiosity killed the cat'}
                 })
-
-            return res({
-                status: 200,
-                content: {response: 'Curiosity killed the cat'}
             })
         })
     }
 
-    deleteAccount(token)
+    isAdmin(userId)
     {
-        return new Promise(res =>
+        return User.findOne({id: userId}).then(user => !!user && user.role === 'admin')
+    }
+
+    deleteAccount(token, client = {})
+    {
+        return new Promise(async res =>
         {
             if (!token)
                 return res({status: 400, content: "Missing parameters."})
 
-            if (!this.deletionTokens.has(token))
-                return res({status: 403, content: "Token is invalid."})
+            const blocked = await this.guardController.check('token', {ip: client.ip})
+            if (blocked)
+                return res(blocked)
 
-            const id = this.deletionTokens.get(token)
-
-            User.findOne({id: id}).then(user =>
+            this.tokenController.consume(token, 'deletion').then(record =>
             {
-                if (!user)
-                    return res({
-                        status: 500,
-                        content: 'There was an error with the current request. Try again.'
-                    })
+                if (!record)
+                {
+                    this.guardController.fail('token', {ip: client.ip})
+                    return res({status: 403, content: "Token is invalid."})
+                }
 
-                user.delete().then(result =>
+                User.findOne({id: record.User_id}).then(user =>
                 {
-                    res(result)
+                    if (!user)
+                        return res({
+                            status: 500,
+                            content: 'There was an error with the current request. Try again.'
+                        })
+
+                    user.delete().then(result =>
+                    {
+                        // Two-factor, AI quota, chat, revision and file data isn't covered by deleteUserWithSessions.
+                        this.twoFactorController.remove(user.id).catch(err => console.log(err))
+                        AIQuota.deleteMany({User_id: user.id}).catch(err => console.log(err))
+                        AIUsage.deleteMany(user.id).catch(err => console.log(err))
+                        ChatThread.deleteByUser(user.id).catch(err => console.log(err))
+                        ProfileRevision.deleteMany({User_id: user.id}).catch(err => console.log(err))
+                        // Stored files and avatars go first, as their index is what says whose they are.
+                        this.fileController.deleteAll(user.id).catch(err => console.log(err))
+                        res(result)
+                    })
                 })
             })
         })
     }
-
-    #generateString(length)
-    {
-        let result = '';
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-        const charactersLength = characters.length;
-        let counter = 0;
-        while (counter < length)
-        {
-            result += characters.charAt(Math.floor(Math.random() * charactersLength));
-            counter += 1;
-        }
-        return result;
-    }
 }
 
 module.exports = UserController
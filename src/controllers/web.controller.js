@@ -7,8 +7,13 @@ const path = require('path')
 const root = path.normalize(path.join(path.dirname(require.main.filename), '..'))
 
 const RouterController = require('./router.controller')
+const FileController = require('./file.controller')
 const StorageManager = require('../services/StorageManager')
 const logger = require('../utils/logger.util')
+const config = require('../utils/config.util')
+const RateLimiter = require('../utils/rate-limiter.util')
+const UserFile = require('../models/userfile.model')
+const { pickAvatarSize } = require('../utils/avatar.util')
 
 class WebController {
     constructor() {
@@ -26,6 +31,8 @@ class WebController {
 
         // Create a new RouterController instance with StorageManager, and save it within the class. 
         this.router = new RouterController(this.storageManager)
+
+        this.rateLimiter = new RateLimiter()
     }
 
     /**
@@ -72,8 +79,10 @@ class WebController {
                 userAgent: req.get('User-Agent')
             });
 
-            // Get avatar stream from StorageManager
+            // Get avatar stream from StorageManager, at the standard size closest to ?size=
+            const size = pickAvatarSize(req.query.size);
             const avatarResult = await this.storageManager.getAvatar(userId, {
+                size,
                 returnStream: true
             });
 
@@ -89,7 +98,7 @@ class WebController {
             res.set({
                 'Content-Type': avatarResult.contentType || 'image/png',
                 'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-                'ETag': avatarResult.etag || `"${userId}-avatar"`,
+                'ETag': avatarResult.etag || `"${userId}-avatar-${size}"`,
                 'Last-Modified': avatarResult.lastModified || new Date().toUTCString()
             });
 
@@ -173,7 +182,8 @@ class WebController {
 
     /**
      * Custom uploads route handler using StorageManager
-     * Serves uploaded files from R2 with fallback to local storage
+     * Serves uploaded files from R2 with fallback to local storage, at /uploads/:userId/:filename (if the index says
+     * the file is that user's), or at legacy /uploads/:filename URLs, whose owner is looked up by filename
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next function
@@ -187,6 +197,7 @@ class WebController {
             }
 
             const filename = req.params.filename;
+            const ownerId = req.params.userId;
 
             // Basic filename validation
             if (!filename || filename.includes('..') || filename.includes('/')) {
@@ -197,23 +208,41 @@ class WebController {
                 return next(); // Fall through to static middleware for invalid filenames
             }
 
+            // Validate user ID format (should be numeric)
+            if (ownerId !== undefined && !/^\d+$/.test(ownerId)) {
+                logger.debug('Invalid user ID format in uploads request', {
+                    filename,
+                    userId: ownerId,
+                    ip: req.ip
+                });
+                return next();
+            }
+
             logger.debug('Upload file request received', {
                 filename,
+                userId: ownerId,
                 ip: req.ip,
                 userAgent: req.get('User-Agent')
             });
 
-            // For uploaded files, we need to search across all users since we don't have user context
-            // We'll try to find the file by searching through storage locations
             let fileResult = null;
             let searchError = null;
 
-            // First, try to determine if this is a user-specific file by checking common patterns
-            // Since we don't have user context in the URL, we need to search
             try {
-                // Try to get file metadata to determine which user owns it
-                // This is a limitation of the current URL structure - ideally we'd have /uploads/:userId/:filename
-                fileResult = await this.searchFileAcrossUsers(filename);
+                if (ownerId !== undefined) {
+                    // Local uploads aren't kept per user, so only the index can tell that the file is this user's
+                    if (!await UserFile.findOne({ filename, User_id: ownerId })) {
+                        logger.debug('Upload file not owned by the user in the URL', {
+                            filename,
+                            userId: ownerId
+                        });
+                        return res.status(404).send('File not found');
+                    }
+                    fileResult = { ...(await this.storageManager.getFileStream(ownerId, filename)), userId: ownerId };
+                } else {
+                    // Legacy URLs don't say who owns the file, so it has to be looked up
+                    fileResult = await this.searchFileAcrossUsers(filename);
+                }
             } catch (error) {
                 searchError = error;
                 logger.debug('File search across users failed', {
@@ -235,7 +264,7 @@ class WebController {
 
             // Set proper headers for file serving
             res.set({
-                'Content-Type': fileResult.contentType || contentType,
+                'Content-Type': fileResult.contentType || fileResult.metadata?.contentType || contentType,
                 'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
                 'ETag': fileResult.etag || `"${filename}"`,
                 'Last-Modified': fileResult.lastModified || new Date().toUTCString()
@@ -323,13 +352,31 @@ class WebController {
     }
 
     /**
-     * Search for a file across all possible user locations
-     * This is a workaround for the current URL structure that doesn't include user ID
+     * Search for a file across all possible user locations, for URLs that don't include the user ID
+     * The owner is found in the Files index, so the file can be served from either backend.
+     * Files uploaded before the index existed are looked for in legacy local storage instead.
      * @param {string} filename - Filename to search for
      * @returns {Promise<Object>} File result with user context
      */
     async searchFileAcrossUsers(filename) {
-        // First, try the legacy local storage approach
+        let indexed = null;
+        try {
+            indexed = await UserFile.findOne({ filename });
+        } catch (error) {
+            logger.warn('File index lookup failed, searching legacy local storage', {
+                filename,
+                error: error.message
+            });
+        }
+
+        if (indexed) {
+            return {
+                ...(await this.storageManager.getFileStream(indexed.User_id, filename)),
+                userId: indexed.User_id
+            };
+        }
+
+        // Then, try the legacy local storage approach
         try {
             const localResult = await this.storageManager.localStorage.getFile(filename, 'upload', null);
             if (localResult && localResult.success) {
@@ -348,9 +395,7 @@ class WebController {
             });
         }
 
-        // If not found in legacy storage, we'd need to implement a more sophisticated search
-        // For now, we'll throw an error indicating the limitation
-        throw new Error(`File not found: ${filename}. Note: User-specific file search not implemented for current URL structure.`);
+        throw new Error(`File not found: ${filename}`);
     }
 
     /**
@@ -521,6 +566,27 @@ class WebController {
         logger.info('StorageManager updated in WebController');
     }
 
+    /**
+     * Get which proxies to trust for the client IP
+     * Only these may set X-Forwarded-For; trusting any hop would let clients pick their own req.ip, and with it
+     * their rate limit bucket.
+     * @returns {number|string|boolean} Number of proxy hops, their addresses or subnets (e.g. "loopback, 10.0.0.0/8"), or false
+     */
+    getTrustProxy() {
+        const value = config('TRUST_PROXY');
+        if (value === undefined || value === null || value === '') {
+            return 1;
+        }
+        if (value === false || value === 'false') {
+            return false;
+        }
+        if (value === true || value === 'true') {
+            logger.warn('TRUST_PROXY can\'t trust every proxy, trusting one hop instead');
+            return 1;
+        }
+        return /^\d+$/.test(String(value)) ? parseInt(value) : String(value);
+    }
+
     start() {
         return new Promise(res => {
             // Create express environment.
@@ -528,9 +594,17 @@ class WebController {
 
             // Implement some middleware into the server.
             app.use(bodyParser.json())
-            app.use(cors())
-            app.use(fileUpload())
-            app.set("trust proxy", true)
+            // Refreshed session tokens and throttling hints are sent in headers, which browsers only expose when allowed
+            app.use(cors({ exposedHeaders: ['X-Session-Token', 'Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] }))
+            app.set("trust proxy", this.getTrustProxy())
+            // Throttle before uploads are parsed, so rejected requests stay cheap
+            app.use(this.rateLimiter.middleware())
+            // Files over the size limit are rejected as soon as they go past it, instead of being read in full
+            app.use(fileUpload({
+                limits: { fileSize: FileController.limits.maxFileSize },
+                abortOnLimit: true,
+                responseOnLimit: FileController.fileTooLargeMessage
+            }))
 
             // Health check endpoint for monitoring storage status
             app.get('/health', this.handleHealthCheck.bind(this));
@@ -540,6 +614,7 @@ class WebController {
             // These handlers will be tried first, before falling back to static middleware
             app.get('/avatar/:filename', this.handleAvatarRoute.bind(this));
             app.get('/uploads/:filename', this.handleUploadsRoute.bind(this));
+            app.get('/uploads/:userId/:filename', this.handleUploadsRoute.bind(this));
 
             // Static file serving as final fallback
             // Configure with proper options for fallthrough behavior
@@ -72,6 +72,7 @@ async function startServer() {
         // Set up periodic metrics logging (every 30 minutes)
         setInterval(() => {
             logger.logMetrics();
+            logger.logRateLimitMetrics();
         }, 30 * 60 * 1000); // 30 minutes in milliseconds
         
         // Set up graceful shutdown handlers
@@ -83,6 +84,7 @@ async function startServer() {
             
             // Log final metrics
             logger.logMetrics();
+            logger.logRateLimitMetrics();
             
             // Close server
             server.close(() => {
@@ -0,0 +1,91 @@
+const db = require('../utils/database.util')
+
+// Per-user overrides of the AI quota. A null limit means the configured default applies.
+class AIQuota
+{
+    #isSQLSynced;
+
+    constructor(User_id, dailyRequests, monthlyRequests, dailyTokens, monthlyTokens, updatedAt)
+    {
+        this.User_id = User_id
+        this.dailyRequests = dailyRequests
+        this.monthlyRequests = monthlyRequests
+        this.dailyTokens = dailyTokens
+        this.monthlyTokens = monthlyTokens
+        this.updatedAt = updatedAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT User_id, dailyRequests, monthlyRequests, dailyTokens, monthlyTokens, updatedAt FROM AIQuotas WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [quotas] = await AIQuota.find(matches)
+        if (quotas.length > 0)
+        {
+            const quota = quotas[0]
+
+            const q = new AIQuota(quota.User_id, quota.dailyRequests, quota.monthlyRequests, quota.dailyTokens, quota.monthlyTokens, quota.updatedAt)
+            q.setSQLSynced(true)
+
+            return q
+        }
+        else return null
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    // Inserts the quota, or replaces the user's existing one.
+    save()
+    {
+        this.updatedAt = new Date()
+        return db.execute(`INSERT INTO AIQuotas (User_id, dailyRequests, monthlyRequests, dailyTokens, monthlyTokens, updatedAt) VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE dailyRequests = VALUES(dailyRequests), monthlyRequests = VALUES(monthlyRequests),
+                dailyTokens = VALUES(dailyTokens), monthlyTokens = VALUES(monthlyTokens), updatedAt = VALUES(updatedAt)`,
+            [this.User_id, this.dailyRequests, this.monthlyRequests, this.dailyTokens, this.monthlyTokens, this.updatedAt])
+    }
+
+    static deleteMany(...matches)
+    {
+        const values = []
+        let argument = 'DELETE FROM AIQuotas WHERE'
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+}
+
+module.exports = AIQuota
@@ -0,0 +1,80 @@
+const db = require('../utils/database.util')
+
+// AI requests and tokens a user has used within a period: a day ('2024-05-13') or a month ('2024-05').
+class AIUsage
+{
+    constructor(User_id, period, requests, tokens)
+    {
+        this.User_id = User_id
+        this.period = period
+        this.requests = requests
+        this.tokens = tokens
+    }
+
+    // Resolves to the usage of each given period, with zeroes for periods without any.
+    static async forPeriods(userId, periods)
+    {
+        const [rows] = await db.execute('SELECT User_id, period, requests, tokens FROM AIUsage WHERE User_id = ? AND period IN (' +
+            periods.map(() => '?').join(', ') + ')', [userId, ...periods])
+        return periods.map(period =>
+        {
+            const row = rows.find(row => row.period === period)
+            return new AIUsage(userId, period, row ? row.requests : 0, row ? row.tokens : 0)
+        })
+    }
+
+    // Counts a request in every period if each of them stays within its limits ({period, requests, tokens}).
+    // Resolves to whether it did. The rows stay locked from check to count, so concurrent requests can't all get in under the limits.
+    static async reserve(userId, limits)
+    {
+        const connection = await db.getConnection()
+        try
+        {
+            await connection.beginTransaction()
+            let reserved = true
+            // Always in the same order, so concurrent reservations can't deadlock
+            for (const limit of limits)
+            {
+                await connection.execute('INSERT IGNORE INTO AIUsage (User_id, period, requests, tokens) VALUES (?, ?, 0, 0)', [userId, limit.period])
+                const [result] = await connection.execute('UPDATE AIUsage SET requests = requests + 1 WHERE User_id = ? AND period = ? AND requests + 1 <= ? AND tokens < ?',
+                    [userId, limit.period, limit.requests, limit.tokens])
+                if (result.affectedRows === 0)
+                {
+                    reserved = false
+                    break
+                }
+            }
+
+            if (reserved)
+                await connection.commit()
+            else
+                await connection.rollback()
+            return reserved
+        }
+        catch (err)
+        {
+            await connection.rollback().catch(() => null)
+            throw err
+        }
+        finally
+        {
+            connection.release()
+        }
+    }
+
+    // Adds to the usage of each period. Negative values give back a reserved request.
+    static add(userId, periods, requests, tokens)
+    {
+        return Promise.all(periods.map(period => db.execute(
+            `INSERT INTO AIUsage (User_id, period, requests, tokens) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE requests = GREATEST(requests + ?, 0), tokens = GREATEST(tokens + ?, 0)`,
+            [userId, period, Math.max(requests, 0), Math.max(tokens, 0), requests, tokens])))
+    }
+
+    static deleteMany(userId)
+    {
+        return db.execute('DELETE FROM AIUsage WHERE User_id = ?', [userId])
+    }
+}
+
+module.exports = AIUsage
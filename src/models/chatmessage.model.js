@@ -0,0 +1,63 @@
+const db = require('../utils/database.util')
+
+// A single message of a ChatThread, sent either by the user ('user') or by the assistant ('ai').
+class ChatMessage
+{
+    #isSQLSynced;
+
+    constructor(id, Thread_id, sender, text, createdAt)
+    {
+        this.id = id
+        this.Thread_id = Thread_id
+        this.sender = sender
+        this.text = text
+        this.createdAt = createdAt
+        this.#isSQLSynced = false
+    }
+
+    // Resolves to up to `limit` messages of a thread in chronological order: the latest ones, or the ones right before message `before`.
+    static async findByThread(threadId, limit, before = null)
+    {
+        const [messages] = await db.execute('SELECT id, Thread_id, sender, text, createdAt FROM ChatMessages WHERE Thread_id = ?' +
+            (before ? ' AND id < ?' : '') + ' ORDER BY id DESC LIMIT ' + parseInt(limit),
+            before ? [threadId, before] : [threadId])
+        return messages.reverse().map(message =>
+        {
+            const m = new ChatMessage(message.id, message.Thread_id, message.sender, message.text, message.createdAt)
+            m.setSQLSynced(true)
+            return m
+        })
+    }
+
+    // Resolves to a message if it belongs to one of the user's threads, or null.
+    static async findForUser(id, userId)
+    {
+        const [messages] = await db.execute('SELECT m.id, m.Thread_id, m.sender, m.text, m.createdAt FROM ChatMessages m JOIN ChatThreads t ON t.id = m.Thread_id WHERE m.id = ? AND t.User_id = ?',
+            [id, userId])
+        if (messages.length === 0)
+            return null
+
+        const message = messages[0]
+        const m = new ChatMessage(message.id, message.Thread_id, message.sender, message.text, message.createdAt)
+        m.setSQLSynced(true)
+        return m
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    async insert()
+    {
+        if (!this.#isSQLSynced)
+        {
+            const [result] = await db.execute('INSERT INTO ChatMessages (Thread_id, sender, text, createdAt) VALUES (?, ?, ?, ?)',
+                [this.Thread_id, this.sender, this.text, this.createdAt])
+            this.id = result.insertId
+            this.#isSQLSynced = true
+        }
+    }
+}
+
+module.exports = ChatMessage
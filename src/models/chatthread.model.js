@@ -0,0 +1,93 @@
+const db = require('../utils/database.util')
+
+// A saved AI chat conversation. Its messages are stored as ChatMessages.
+class ChatThread
+{
+    #isSQLSynced;
+
+    constructor(id, User_id, title, createdAt, updatedAt)
+    {
+        this.id = id
+        this.User_id = User_id
+        this.title = title
+        this.createdAt = createdAt
+        this.updatedAt = updatedAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT id, User_id, title, createdAt, updatedAt FROM ChatThreads WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [threads] = await ChatThread.find(matches)
+        if (threads.length > 0)
+            return ChatThread.#fromRow(threads[0])
+        else return null
+    }
+
+    // Resolves to the user's threads, most recently active first.
+    static async findByUser(userId)
+    {
+        const [threads] = await db.execute('SELECT id, User_id, title, createdAt, updatedAt FROM ChatThreads WHERE User_id = ? ORDER BY updatedAt DESC, id DESC', [userId])
+        return threads.map(thread => ChatThread.#fromRow(thread))
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    async insert()
+    {
+        if (!this.#isSQLSynced)
+        {
+            const [result] = await db.execute('INSERT INTO ChatThreads (User_id, title, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
+                [this.User_id, this.title, this.createdAt, this.updatedAt])
+            this.id = result.insertId
+            this.#isSQLSynced = true
+        }
+    }
+
+    // Records new activity on the thread, and gives it a title if it didn't have one yet.
+    touch(title)
+    {
+        this.updatedAt = new Date()
+        this.title = this.title || title || null
+        return db.execute('UPDATE ChatThreads SET updatedAt = ?, title = ? WHERE id = ?', [this.updatedAt, this.title, this.id])
+    }
+
+    // Deletes every thread of a user, along with their messages.
+    static async deleteByUser(userId)
+    {
+        await db.execute('DELETE FROM ChatMessages WHERE Thread_id IN (SELECT id FROM ChatThreads WHERE User_id = ?)', [userId])
+        return db.execute('DELETE FROM ChatThreads WHERE User_id = ?', [userId])
+    }
+
+    static #fromRow(thread)
+    {
+        const t = new ChatThread(thread.id, thread.User_id, thread.title, thread.createdAt, thread.updatedAt)
+        t.setSQLSynced(true)
+        return t
+    }
+}
+
+module.exports = ChatThread
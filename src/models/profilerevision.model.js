@@ -0,0 +1,146 @@
+const db = require('../utils/database.util')
+
+// A version of a user's profile, saved each time it changes. `source` tells what made the change:
+// 'manual', 'import', 'ai' (an applied AI suggestion), 'restore', 'undo', or 'initial' for the profile as it was
+// before its first recorded change.
+class ProfileRevision
+{
+    #isSQLSynced;
+
+    constructor(id, User_id, source, displayName, components, sociallinks, profileDesign, createdAt)
+    {
+        this.id = id
+        this.User_id = User_id
+        this.source = source
+        this.displayName = displayName
+        this.components = components
+        this.sociallinks = sociallinks
+        this.profileDesign = profileDesign
+        this.createdAt = createdAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT id, User_id, source, displayName, components, sociallinks, profileDesign, createdAt FROM ProfileRevisions WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [revisions] = await ProfileRevision.find(matches)
+        if (revisions.length > 0)
+            return ProfileRevision.#fromRow(revisions[0])
+        else return null
+    }
+
+    // Resolves to the user's most recent revision, from the given source if there is one, or null.
+    static async findLatest(userId, source = null)
+    {
+        const [revisions] = await db.execute('SELECT id, User_id, source, displayName, components, sociallinks, profileDesign, createdAt FROM ProfileRevisions WHERE User_id = ?' +
+            (source ? ' AND source = ?' : '') + ' ORDER BY id DESC LIMIT 1', source ? [userId, source] : [userId])
+        return revisions.length > 0 ? ProfileRevision.#fromRow(revisions[0]) : null
+    }
+
+    // Resolves to the revision saved right before this one, or null.
+    async findPrevious()
+    {
+        const [revisions] = await db.execute('SELECT id, User_id, source, displayName, components, sociallinks, profileDesign, createdAt FROM ProfileRevisions WHERE User_id = ? AND id < ? ORDER BY id DESC LIMIT 1',
+            [this.User_id, this.id])
+        return revisions.length > 0 ? ProfileRevision.#fromRow(revisions[0]) : null
+    }
+
+    // Resolves to a page of the user's revisions, newest first, without their contents.
+    static async findByUser(userId, limit, before = null)
+    {
+        const [revisions] = await db.execute('SELECT id, User_id, source, createdAt FROM ProfileRevisions WHERE User_id = ?' +
+            (before ? ' AND id < ?' : '') + ' ORDER BY id DESC LIMIT ' + parseInt(limit),
+            before ? [userId, before] : [userId])
+        return revisions.map(revision => ProfileRevision.#fromRow(revision))
+    }
+
+    // Deletes the user's revisions beyond the newest `keep`, and those created before `olderThan`.
+    // Either limit is skipped when not set. The newest revision is always kept.
+    static async prune(userId, keep, olderThan)
+    {
+        if (keep > 0)
+        {
+            const [kept] = await db.execute('SELECT id FROM ProfileRevisions WHERE User_id = ? ORDER BY id DESC LIMIT 1 OFFSET ' + (parseInt(keep) - 1),
+                [userId])
+            if (kept.length > 0)
+                await db.execute('DELETE FROM ProfileRevisions WHERE User_id = ? AND id < ?', [userId, kept[0].id])
+        }
+        if (olderThan)
+        {
+            const [newest] = await db.execute('SELECT id FROM ProfileRevisions WHERE User_id = ? ORDER BY id DESC LIMIT 1', [userId])
+            if (newest.length > 0)
+                await db.execute('DELETE FROM ProfileRevisions WHERE User_id = ? AND createdAt < ? AND id < ?', [userId, olderThan, newest[0].id])
+        }
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    async insert()
+    {
+        if (!this.#isSQLSynced)
+        {
+            const [result] = await db.execute('INSERT INTO ProfileRevisions (User_id, source, displayName, components, sociallinks, profileDesign, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [this.User_id, this.source, this.displayName, this.components, this.sociallinks, this.profileDesign, this.createdAt])
+            this.id = result.insertId
+            this.#isSQLSynced = true
+        }
+    }
+
+    async delete()
+    {
+        return db.execute('DELETE FROM ProfileRevisions WHERE id = ?', [this.id])
+    }
+
+    static deleteMany(...matches)
+    {
+        const values = []
+        let argument = 'DELETE FROM ProfileRevisions WHERE'
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static #fromRow(revision)
+    {
+        const r = new ProfileRevision(revision.id, revision.User_id, revision.source, revision.displayName, revision.components,
+            revision.sociallinks, revision.profileDesign, revision.createdAt)
+        r.setSQLSynced(true)
+        return r
+    }
+}
+
+module.exports = ProfileRevision
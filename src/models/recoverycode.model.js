@@ -0,0 +1,91 @@
+const db = require('../utils/database.util')
+
+class RecoveryCode
+{
+    #isSQLSynced;
+
+    constructor(id, User_id, code, usedAt)
+    {
+        this.id = id
+        this.User_id = User_id
+        this.code = code
+        this.usedAt = usedAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT id, User_id, code, usedAt FROM RecoveryCodes WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [codes] = await RecoveryCode.find(matches)
+        if (codes.length > 0)
+        {
+            const code = codes[0]
+
+            const c = new RecoveryCode(code.id, code.User_id, code.code, code.usedAt)
+            c.setSQLSynced(true)
+
+            return c
+        }
+        else return null
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    insert()
+    {
+        if (!this.#isSQLSynced)
+            return db.execute("INSERT INTO RecoveryCodes (User_id, code) VALUES (?, ?)", [this.User_id, this.code])
+    }
+
+    // Marks the code as used. Only one caller can win this, so a code can't be redeemed twice.
+    async markUsed()
+    {
+        const [result] = await db.execute('UPDATE RecoveryCodes SET usedAt = ? WHERE id = ? AND usedAt IS NULL', [new Date(), this.id])
+        return result.affectedRows === 1
+    }
+
+    static deleteMany(...matches)
+    {
+        const values = []
+        let argument = 'DELETE FROM RecoveryCodes WHERE'
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+}
+
+module.exports = RecoveryCode
@@ -4,20 +4,25 @@ class Session
 {
     #isSQLSynced;
 
-    constructor(id, token, expires, clientToken, User_id)
+    constructor(id, token, expires, clientToken, User_id, name, createdAt, lastSeen, ip, userAgent)
     {
         this.id = id
         this.token = token
         this.expires = expires
         this.clientToken = clientToken
         this.User_id = User_id
+        this.name = name
+        this.createdAt = createdAt
+        this.lastSeen = lastSeen
+        this.ip = ip
+        this.userAgent = userAgent
         this.#isSQLSynced = false
     }
 
     static find(..._matches)
     {
         const matches = _matches[0]
-        let argument = 'SELECT id, token, expires, clientToken, User_id FROM Sessions WHERE'
+        let argument = 'SELECT id, token, expires, clientToken, User_id, name, createdAt, lastSeen, ip, userAgent FROM Sessions WHERE'
         const values = []
         for (let i = 0; i < matches.length; i++)
         {
@@ -38,8 +43,21 @@ class Session
     insert()
     {
         if (!this.#isSQLSynced)
-            return db.execute("INSERT INTO Sessions (token, expires, clientToken, User_id) VALUES (?, ?, ?, ?)",
-                [this.token, this.expires, this.clientToken, this.User_id])
+            return db.execute("INSERT INTO Sessions (token, expires, clientToken, User_id, name, createdAt, lastSeen, ip, userAgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                [this.token, this.expires, this.clientToken, this.User_id, this.name, this.createdAt, this.lastSeen, this.ip, this.userAgent])
+    }
+
+    // Records activity on the session. IP and user agent are only overwritten when known.
+    static touch(id, ip, userAgent)
+    {
+        return db.execute('UPDATE Sessions SET lastSeen = ?, ip = COALESCE(?, ip), userAgent = COALESCE(?, userAgent) WHERE id = ?',
+            [new Date(), ip || null, userAgent || null, id])
+    }
+
+    rename(name)
+    {
+        this.name = name
+        return db.execute('UPDATE Sessions SET name = ? WHERE id = ?', [name, this.id])
     }
 
     async delete()
@@ -71,13 +89,21 @@ class Session
     {
         const [sessions] = await Session.find(matches)
         if (sessions.length > 0)
-        {
-            const session = sessions[0]
-
-            return new Session(session.id, session.token, session.expires, session.clientToken, session.User_id)
-        }
+            return Session.#fromRow(sessions[0])
         else return null
     }
+
+    static async findAll(...matches)
+    {
+        const [sessions] = await Session.find(matches)
+        return sessions.map(session => Session.#fromRow(session))
+    }
+
+    static #fromRow(session)
+    {
+        return new Session(session.id, session.token, session.expires, session.clientToken, session.User_id,
+            session.name, session.createdAt, session.lastSeen, session.ip, session.userAgent)
+    }
 }
 
 module.exports = Session
\ No newline at end of file
@@ -0,0 +1,44 @@
+const db = require('../utils/database.util')
+
+// Files and bytes a user has uploaded (avatars aside), kept up to date on upload and delete
+// so storage quotas can be checked without adding up the Files index.
+class StorageUsage
+{
+    constructor(User_id, files, bytes)
+    {
+        this.User_id = User_id
+        this.files = files
+        this.bytes = bytes
+    }
+
+    // Resolves to the user's usage, with zeroes if they haven't uploaded anything.
+    static async forUser(userId)
+    {
+        const [rows] = await db.execute('SELECT User_id, files, bytes FROM StorageUsage WHERE User_id = ?', [userId])
+        return rows.length > 0 ? new StorageUsage(userId, rows[0].files, Number(rows[0].bytes)) : new StorageUsage(userId, 0, 0)
+    }
+
+    // Counts a file of the given size if the user stays within both limits. Resolves to whether it did.
+    // Checked and counted in one statement, so concurrent uploads can't go over the limits together.
+    static async reserve(userId, bytes, maxFiles, maxBytes)
+    {
+        await db.execute('INSERT IGNORE INTO StorageUsage (User_id, files, bytes) VALUES (?, 0, 0)', [userId])
+        const [result] = await db.execute('UPDATE StorageUsage SET files = files + 1, bytes = bytes + ? WHERE User_id = ? AND files + 1 <= ? AND bytes + ? <= ?',
+            [bytes, userId, maxFiles, bytes, maxBytes])
+        return result.affectedRows > 0
+    }
+
+    // Stops counting a file, once deleted or if its upload failed.
+    static release(userId, bytes)
+    {
+        return db.execute('UPDATE StorageUsage SET files = GREATEST(files - 1, 0), bytes = GREATEST(bytes - ?, 0) WHERE User_id = ?',
+            [bytes, userId])
+    }
+
+    static deleteMany(userId)
+    {
+        return db.execute('DELETE FROM StorageUsage WHERE User_id = ?', [userId])
+    }
+}
+
+module.exports = StorageUsage
@@ -0,0 +1,113 @@
+const db = require('../utils/database.util')
+
+class Token
+{
+    #isSQLSynced;
+
+    constructor(id, token, purpose, payload, expires, singleUse, usedAt, User_id)
+    {
+        this.id = id
+        this.token = token
+        this.purpose = purpose
+        this.payload = payload
+        this.expires = expires
+        this.singleUse = singleUse
+        this.usedAt = usedAt
+        this.User_id = User_id
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT id, token, purpose, payload, expires, singleUse, usedAt, User_id FROM Tokens WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [tokens] = await Token.find(matches)
+        if (tokens.length > 0)
+        {
+            const token = tokens[0]
+
+            const t = new Token(token.id, token.token, token.purpose, token.payload, token.expires,
+                !!token.singleUse, token.usedAt, token.User_id)
+            t.setSQLSynced(true)
+
+            return t
+        }
+        else return null
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    isExpired()
+    {
+        return Date.now() > new Date(this.expires).getTime()
+    }
+
+    insert()
+    {
+        if (!this.#isSQLSynced)
+            return db.execute("INSERT INTO Tokens (token, purpose, payload, expires, singleUse, User_id) VALUES (?, ?, ?, ?, ?, ?)",
+                [this.token, this.purpose, this.payload == null ? null : JSON.stringify(this.payload), this.expires, this.singleUse, this.User_id])
+    }
+
+    // Marks the token as used. Only one caller can win this, so concurrent requests can't redeem the same token twice.
+    async markUsed()
+    {
+        const [result] = await db.execute('UPDATE Tokens SET usedAt = ? WHERE id = ? AND usedAt IS NULL', [new Date(), this.id])
+        return result.affectedRows === 1
+    }
+
+    async delete()
+    {
+        return db.execute('DELETE FROM Tokens WHERE id = ?', [this.id])
+    }
+
+    static deleteMany(...matches)
+    {
+        const values = []
+        let argument = 'DELETE FROM Tokens WHERE'
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    // Removes every token that has expired or has already been used.
+    static sweep()
+    {
+        return db.execute('DELETE FROM Tokens WHERE expires < ? OR usedAt IS NOT NULL', [new Date()])
+    }
+}
+
+module.exports = Token
@@ -0,0 +1,91 @@
+const db = require('../utils/database.util')
+
+class TwoFactor
+{
+    #isSQLSynced;
+
+    constructor(User_id, secret, enabled, lastUsedStep, createdAt, confirmedAt)
+    {
+        this.User_id = User_id
+        this.secret = secret
+        this.enabled = enabled
+        this.lastUsedStep = lastUsedStep
+        this.createdAt = createdAt
+        this.confirmedAt = confirmedAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT User_id, secret, enabled, lastUsedStep, createdAt, confirmedAt FROM TwoFactor WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [rows] = await TwoFactor.find(matches)
+        if (rows.length > 0)
+        {
+            const row = rows[0]
+
+            const twoFactor = new TwoFactor(row.User_id, row.secret, !!row.enabled, row.lastUsedStep == null ? null : Number(row.lastUsedStep),
+                row.createdAt, row.confirmedAt)
+            twoFactor.setSQLSynced(true)
+
+            return twoFactor
+        }
+        else return null
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    insert()
+    {
+        if (!this.#isSQLSynced)
+            return db.execute("INSERT INTO TwoFactor (User_id, secret, enabled, createdAt) VALUES (?, ?, ?, ?)",
+                [this.User_id, this.secret, this.enabled, this.createdAt])
+    }
+
+    enable()
+    {
+        this.enabled = true
+        this.confirmedAt = new Date()
+        return db.execute('UPDATE TwoFactor SET enabled = TRUE, confirmedAt = ? WHERE User_id = ?', [this.confirmedAt, this.User_id])
+    }
+
+    // Records the time step of an accepted code. Fails if that step (or a later one) was already used, so a code can't be replayed.
+    async useStep(step)
+    {
+        const [result] = await db.execute('UPDATE TwoFactor SET lastUsedStep = ? WHERE User_id = ? AND (lastUsedStep IS NULL OR lastUsedStep < ?)',
+            [step, this.User_id, step])
+        if (result.affectedRows !== 1)
+            return false
+        this.lastUsedStep = step
+        return true
+    }
+
+    async delete()
+    {
+        return db.execute('DELETE FROM TwoFactor WHERE User_id = ?', [this.User_id])
+    }
+}
+
+module.exports = TwoFactor
@@ -4,7 +4,8 @@ module.exports = class User
 {
     #isSQLSynced;
 
-    constructor(id, username, password, displayName, email, creationDate, dateOfBirth, sociallinks, components, profileDesign)
+    constructor(id, username, password, displayName, email, creationDate, dateOfBirth, sociallinks, components, profileDesign, role = 'user',
+                draftComponents = null, draftProfileDesign = null)
     {
         this.id = id
         this.username = username
@@ -16,6 +17,10 @@ module.exports = class User
         this.email = email
         this.components = components
         this.profileDesign = profileDesign
+        this.role = role
+        // Unpublished changes to components and profileDesign, null while there are none.
+        this.draftComponents = draftComponents
+        this.draftProfileDesign = draftProfileDesign
         this.#isSQLSynced = false
     }
 
@@ -23,7 +28,7 @@ module.exports = class User
     {
         const matches = _matches[0]
         const values = []
-        let argument = 'SELECT id, username, password, displayName, email, creationDate, dateOfBirth, components, sociallinks, profileDesign FROM Users WHERE'
+        let argument = 'SELECT id, username, password, displayName, email, creationDate, dateOfBirth, components, sociallinks, profileDesign, role, draftComponents, draftProfileDesign FROM Users WHERE'
         for (let i = 0; i < matches.length; i++)
         {
             let match = matches[i]
@@ -47,7 +52,8 @@ module.exports = class User
         {
             const user = users[0]
 
-            const u = new User(user.id, user.username, user.password, user.displayName, user.email, user.creationDate, user.dateOfBirth, user.sociallinks, user.components, user.profileDesign)
+            const u = new User(user.id, user.username, user.password, user.displayName, user.email, user.creationDate, user.dateOfBirth, user.sociallinks, user.components, user.profileDesign, user.role,
+                user.draftComponents, user.draftProfileDesign)
             u.setSQLSynced(true)
 
             return u
@@ -84,6 +90,11 @@ module.exports = class User
                 this.sociallinks = values['sociallinks'] || this.sociallinks
                 this.components = values['components'] || this.components
                 this.profileDesign = values['profileDesign'] || this.profileDesign
+                // Drafts are cleared by setting them to null.
+                if ('draftComponents' in values)
+                    this.draftComponents = values['draftComponents']
+                if ('draftProfileDesign' in values)
+                    this.draftProfileDesign = values['draftProfileDesign']
 
                 res({
                     status: 200,
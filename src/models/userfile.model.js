@@ -0,0 +1,116 @@
+const db = require('../utils/database.util')
+
+// A file uploaded by a user (avatars aside). Filenames are unique across users, so the owner of a file
+// linked only by its name can be found here, whichever storage backend holds it.
+// `displayName` is the name the user gave the file, if they renamed it; the stored filename never changes.
+class UserFile
+{
+    #isSQLSynced;
+
+    constructor(id, User_id, filename, originalName, contentType, size, createdAt, displayName = null)
+    {
+        this.id = id
+        this.User_id = User_id
+        this.filename = filename
+        this.originalName = originalName
+        this.displayName = displayName
+        this.contentType = contentType
+        this.size = size
+        this.createdAt = createdAt
+        this.#isSQLSynced = false
+    }
+
+    static find(..._matches)
+    {
+        const matches = _matches[0]
+        let argument = 'SELECT id, User_id, filename, originalName, displayName, contentType, size, createdAt FROM Files WHERE'
+        const values = []
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static async findOne(...matches)
+    {
+        const [files] = await UserFile.find(matches)
+        if (files.length > 0)
+            return UserFile.#fromRow(files[0])
+        else return null
+    }
+
+    // Resolves to all of the user's files, newest first.
+    static async findByUser(userId)
+    {
+        const [files] = await db.execute('SELECT id, User_id, filename, originalName, displayName, contentType, size, createdAt FROM Files WHERE User_id = ? ORDER BY id DESC',
+            [userId])
+        return files.map(file => UserFile.#fromRow(file))
+    }
+
+    setSQLSynced(value)
+    {
+        this.#isSQLSynced = value
+    }
+
+    async insert()
+    {
+        if (!this.#isSQLSynced)
+        {
+            const [result] = await db.execute('INSERT INTO Files (User_id, filename, originalName, contentType, size, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+                [this.User_id, this.filename, this.originalName, this.contentType, this.size, this.createdAt])
+            this.id = result.insertId
+            this.#isSQLSynced = true
+        }
+    }
+
+    async rename(displayName)
+    {
+        await db.execute('UPDATE Files SET displayName = ? WHERE id = ?', [displayName, this.id])
+        this.displayName = displayName
+    }
+
+    async delete()
+    {
+        return db.execute('DELETE FROM Files WHERE id = ?', [this.id])
+    }
+
+    static deleteMany(...matches)
+    {
+        const values = []
+        let argument = 'DELETE FROM Files WHERE'
+        for (let i = 0; i < matches.length; i++)
+        {
+            let match = matches[i]
+            let queryKeys = Object.keys(match)
+            let subargument = (i === 0 ? ' (' : ' OR (')
+            for (let j = 0; j < queryKeys.length; j++)
+            {
+                values.push(match[queryKeys[j]])
+                subargument = subargument + ((j === 0 ? ' ' : ' AND ') + queryKeys[j] + ' = ?')
+            }
+            subargument = subargument + ")"
+            argument = argument + subargument
+        }
+        return db.execute(argument, values)
+    }
+
+    static #fromRow(file)
+    {
+        const f = new UserFile(file.id, file.User_id, file.filename, file.originalName, file.contentType, file.size, file.createdAt,
+            file.displayName)
+        f.setSQLSynced(true)
+        return f
+    }
+}
+
+module.exports = UserFile
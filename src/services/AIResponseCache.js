@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const config = require('../utils/config.util');
+const logger = require('../utils/logger.util');
+const LRUCache = require('../utils/lru-cache.util');
+
+/**
+ * AIResponseCache - Reuses AI responses for identical requests
+ * Responses are kept in memory for a while, and identical requests made at the same time
+ * share one upstream call instead of each making their own.
+ */
+class AIResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum number of cached responses (0 = only coalesce, never cache)
+     * @param {number} options.ttl - Time to live for each response in milliseconds
+     */
+    constructor({ maxEntries = 500, ttl = 1000 * 60 * 10 } = {}) {
+        this.enabled = maxEntries > 0;
+        this.cache = new LRUCache({ maxEntries: Math.max(maxEntries, 1), ttl });
+        // Key -> promise of the upstream call being made for it
+        this.pending = new Map();
+    }
+
+    /**
+     * Create a cache from configuration
+     * @returns {AIResponseCache} Cache
+     */
+    static create() {
+        const maxEntries = parseInt(config('AI_CACHE_MAX_ENTRIES'));
+        return new AIResponseCache({
+            maxEntries: isNaN(maxEntries) ? 500 : maxEntries,
+            ttl: parseInt(config('AI_CACHE_TTL')) || 1000 * 60 * 10
+        });
+    }
+
+    /**
+     * Normalize a value so requests that only differ in whitespace or key order match
+     * @param {*} value - Value to normalize
+     * @returns {*} Normalized value
+     */
+    static normalize(value) {
+        if (typeof value === 'string') {
+            return value.normalize('NFC').replace(/\s+/g, ' ').trim();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => AIResponseCache.normalize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, AIResponseCache.normalize(value[key])]));
+        }
+        return value ?? null;
+    }
+
+    /**
+     * Hash everything a response depends on into a cache key
+     * @param {Object} request - Request parts
+     * @param {string} request.prompt - User message
+     * @param {Array} request.context - Conversation context sent with it
+     * @param {Object|null} request.profile - The user's current profile
+     * @param {Map|null} request.references - Profile components the response may reference, by id
+     * @param {Object} request.settings - Anything else that changes the response (system prompt, generation options...)
+     * @returns {string} Hex encoded SHA-256 key
+     */
+    static key({ prompt, context = [], profile = null, references = null, settings = {} }) {
+        const normalized = AIResponseCache.normalize({ prompt, context, profile, settings });
+        // Referenced components are copied into the response as they are, so they are hashed exactly: the profile
+        // text may leave parts of them out, and normalizing would hide changes to their whitespace
+        const components = references ? [...references] : null;
+        return crypto.createHash('sha256').update(JSON.stringify({ ...normalized, references: components })).digest('hex');
+    }
+
+    /**
+     * Get the response for a key, from the cache, from an identical request in progress, or by computing it
+     * @param {string} key - Cache key
+     * @param {Function} compute - Async function making the upstream call
+     * @param {Object} options - Fetch options
+     * @param {Function} options.cacheable - Whether a computed value may be cached (default: always)
+     * @returns {Promise<Object>} { value, source: 'cache'|'coalesced'|'upstream' }
+     */
+    async fetch(key, compute, { cacheable = () => true } = {}) {
+        if (this.enabled) {
+            const cached = this.cache.get(key);
+            if (cached !== undefined) {
+                logger.logAICache('hit');
+                return { value: cached, source: 'cache' };
+            }
+        }
+
+        if (this.pending.has(key)) {
+            logger.logAICache('coalesced');
+            return { value: await this.pending.get(key), source: 'coalesced' };
+        }
+
+        logger.logAICache('miss');
+        const promise = (async () => {
+            try {
+                const value = await compute();
+                if (this.enabled && cacheable(value)) {
+                    this.cache.set(key, value);
+                }
+                return value;
+            } finally {
+                this.pending.delete(key);
+            }
+        })();
+        this.pending.set(key, promise);
+
+        return { value: await promise, source: 'upstream' };
+    }
+
+    /**
+     * Get cache status for monitoring
+     * @returns {Object} Cache status
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            pending: this.pending.size,
+            ...this.cache.getStats()
+        };
+    }
+}
+
+module.exports = AIResponseCache;
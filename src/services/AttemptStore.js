@@ -0,0 +1,80 @@
+const config = require('../utils/config.util');
+const logger = require('../utils/logger.util');
+
+/**
+ * AttemptStore - Interface for counting failed attempts (logins, token checks)
+ * Records are keyed by a string like 'login:ip:127.0.0.1' and hold
+ * { failures, firstFailure, lastFailure, lockedUntil } with times in milliseconds
+ */
+class AttemptStore {
+    /**
+     * Get the record for a key
+     * @param {string} key - Attempt key
+     * @returns {Promise<Object|null>} Record or null if there were no recent failures
+     */
+    async get(key) {
+        throw new Error('AttemptStore.get() is not implemented');
+    }
+
+    /**
+     * Count a failure. Failures older than the window are forgotten first.
+     * @param {string} key - Attempt key
+     * @param {number} window - Window in milliseconds failures are counted over
+     * @returns {Promise<Object>} Updated record
+     */
+    async recordFailure(key, window) {
+        throw new Error('AttemptStore.recordFailure() is not implemented');
+    }
+
+    /**
+     * Lock a key until a given time
+     * @param {string} key - Attempt key
+     * @param {number} until - Unix time in milliseconds
+     * @returns {Promise<void>}
+     */
+    async lock(key, until) {
+        throw new Error('AttemptStore.lock() is not implemented');
+    }
+
+    /**
+     * Forget every failure of a key
+     * @param {string} key - Attempt key
+     * @returns {Promise<void>}
+     */
+    async reset(key) {
+        throw new Error('AttemptStore.reset() is not implemented');
+    }
+
+    /**
+     * Get store status information
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return { driver: 'unknown' };
+    }
+
+    /**
+     * Create the attempt store selected by configuration
+     * GUARD_STORE: 'memory' (default, per process) or 'mysql' (shared between instances)
+     * @param {Object} options - Store options
+     * @param {number} options.ttl - How long records are kept, in milliseconds
+     * @returns {AttemptStore} Attempt store instance
+     */
+    static create({ ttl } = {}) {
+        const MemoryAttemptStore = require('./MemoryAttemptStore');
+        const MySQLAttemptStore = require('./MySQLAttemptStore');
+
+        const driver = config('GUARD_STORE') || 'memory';
+        switch (driver) {
+            case 'mysql':
+                return new MySQLAttemptStore();
+            case 'memory':
+                return new MemoryAttemptStore({ ttl });
+            default:
+                logger.warn(`Invalid GUARD_STORE: ${driver}. Using 'memory' as default`);
+                return new MemoryAttemptStore({ ttl });
+        }
+    }
+}
+
+module.exports = AttemptStore;
@@ -0,0 +1,52 @@
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const logger = require('../utils/logger.util');
+
+/**
+ * GroqProvider - Groq's OpenAI-compatible API
+ * Configured through the GROQ_* environment variables
+ */
+class GroqProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({
+            name: 'groq',
+            baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+            apiKey: process.env.GROQ_API_KEY || '',
+            // default to a currently available model. You can override via GROQ_MODEL in .env
+            model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+            maxRetries: parseInt(process.env.GROQ_MAX_RETRIES) || 3,
+            baseRetryDelay: parseInt(process.env.GROQ_RETRY_DELAY) || 1000, // 1 second
+            timeout: parseInt(process.env.GROQ_TIMEOUT) || 30000, // 30 seconds
+            ...options
+        });
+    }
+
+    isConfigured() {
+        return !!this.apiKey && super.isConfigured();
+    }
+
+    updateRateLimitInfo(headers) {
+        try {
+            if (headers['x-ratelimit-remaining']) {
+                this.rateLimitRemaining = parseInt(headers['x-ratelimit-remaining']);
+            }
+            if (headers['x-ratelimit-reset']) {
+                this.rateLimitResetTime = parseInt(headers['x-ratelimit-reset']) * 1000; // Convert to milliseconds
+            }
+
+            logger.debug('Rate limit info updated', {
+                provider: this.name,
+                remaining: this.rateLimitRemaining,
+                resetTime: this.rateLimitResetTime ? new Date(this.rateLimitResetTime).toISOString() : null
+            });
+        } catch (error) {
+            logger.warn('Failed to parse rate limit headers', { provider: this.name, error: error.message });
+        }
+    }
+
+    // Groq reports usage in x_groq on the last chunk
+    readStreamUsage(chunk) {
+        return chunk.x_groq?.usage || super.readStreamUsage(chunk);
+    }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,129 @@
+const SessionCache = require('./SessionCache');
+const LRUCache = require('../utils/lru-cache.util');
+const logger = require('../utils/logger.util');
+
+/**
+ * KeyValueSessionCache - Session cache backed by an external key-value store
+ * Sessions are shared between instances through the store, and each instance keeps a small
+ * local LRU in front of it. Revocations are published on a channel so every instance drops
+ * its local copy immediately.
+ *
+ * The client only needs a redis-like subset: get(key), set(key, value, 'PX', ms), del(key)
+ * and publish(channel, message). The subscriber needs subscribe(channel) and emit
+ * 'message' events with (channel, message). LocalKeyValueStore implements the same subset.
+ */
+class KeyValueSessionCache extends SessionCache {
+    /**
+     * @param {Object} client - Key-value store client used for commands
+     * @param {Object} subscriber - Separate connection used for revocation events
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum number of sessions kept locally
+     * @param {number} options.ttl - Time to live for each entry in milliseconds
+     * @param {number} options.localTtl - Time to live for local copies in milliseconds
+     * @param {string} options.prefix - Key prefix within the store
+     * @param {string} options.channel - Channel used for revocation events
+     */
+    constructor(client, subscriber, { maxEntries = 10000, ttl = 1000 * 60 * 30, localTtl = 1000 * 60, prefix = 'session:', channel = 'session-revocations' } = {}) {
+        super();
+        this.client = client;
+        this.subscriber = subscriber;
+        this.ttl = ttl;
+        this.prefix = prefix;
+        this.channel = channel;
+        // Local copies expire quickly, bounding staleness even if a revocation event is missed
+        this.local = new LRUCache({ maxEntries, ttl: Math.min(localTtl, ttl) });
+        this.revocationsReceived = 0;
+
+        this.subscribeToRevocations();
+    }
+
+    /**
+     * Listen for revocations published by any instance
+     * @private
+     */
+    subscribeToRevocations() {
+        this.subscriber.on('message', (channel, token) => {
+            if (channel !== this.channel) {
+                return;
+            }
+            this.revocationsReceived++;
+            this.local.delete(token);
+        });
+
+        Promise.resolve(this.subscriber.subscribe(this.channel)).catch(error => {
+            logger.error('Failed to subscribe to session revocations', {
+                channel: this.channel,
+                error: error.message,
+                errorType: 'session_cache_subscribe_error'
+            });
+        });
+    }
+
+    async get(token) {
+        const local = this.local.get(token);
+        if (local) {
+            return local;
+        }
+
+        try {
+            const stored = await this.client.get(this.prefix + token);
+            if (!stored) {
+                return null;
+            }
+
+            const entry = JSON.parse(stored);
+            this.local.set(token, entry);
+            return entry;
+
+        } catch (error) {
+            logger.warn('Session cache lookup failed, treating as a miss', {
+                error: error.message,
+                errorType: 'session_cache_get_error'
+            });
+            return null;
+        }
+    }
+
+    async set(token, entry) {
+        this.local.set(token, { ...entry });
+
+        try {
+            await this.client.set(this.prefix + token, JSON.stringify(entry), 'PX', this.ttl);
+        } catch (error) {
+            logger.warn('Failed to write session to cache store', {
+                error: error.message,
+                errorType: 'session_cache_set_error'
+            });
+        }
+    }
+
+    async revoke(token) {
+        this.local.delete(token);
+
+        try {
+            await this.client.del(this.prefix + token);
+            await this.client.publish(this.channel, token);
+        } catch (error) {
+            logger.error('Failed to propagate session revocation', {
+                error: error.message,
+                errorType: 'session_cache_revoke_error'
+            });
+        }
+    }
+
+    async close() {
+        await Promise.all([this.client.quit?.(), this.subscriber.quit?.()]);
+    }
+
+    getStatus() {
+        return {
+            driver: 'key-value',
+            prefix: this.prefix,
+            channel: this.channel,
+            revocationsReceived: this.revocationsReceived,
+            local: this.local.getStats()
+        };
+    }
+}
+
+module.exports = KeyValueSessionCache;
@@ -0,0 +1,278 @@
+const logger = require('../utils/logger.util');
+
+/**
+ * LLMProvider - Interface for chat completion backends used by the AI designer
+ * Implementations only make single requests; retries, backoff and rate limit waits are shared here.
+ * Completions are returned in the OpenAI response shape:
+ * { status, headers, data: { choices: [{ message: { content } }], usage } }
+ */
+class LLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Provider name, used in logs and for failover order
+     * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+     * @param {number} options.baseRetryDelay - Base backoff delay in milliseconds (default: 1000)
+     */
+    constructor({ name = 'unknown', maxRetries = 3, baseRetryDelay = 1000 } = {}) {
+        this.name = name;
+        this.model = null;
+        this.maxRetries = maxRetries;
+        this.baseRetryDelay = baseRetryDelay;
+
+        // Rate limiting tracking, filled in by providers that report it
+        this.rateLimitResetTime = null;
+        this.rateLimitRemaining = null;
+    }
+
+    /**
+     * Check whether the provider has what it needs to make requests
+     * @returns {boolean} Whether the provider can be used
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Make a single completion request
+     * HTTP errors are returned as responses with their status, not thrown
+     * @param {Array<Object>} messages - Chat messages ({ role, content })
+     * @param {Object} options - Request options
+     * @param {string} options.requestId - Request identifier for logging
+     * @param {AbortSignal} options.signal - Signal that cancels the request
+     * @param {Function} options.onDelta - Streams the completion to this callback when given
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.maxTokens - Maximum tokens to generate
+     * @param {boolean} options.json - Whether to ask for a JSON object
+     * @returns {Promise<Object>} Completion response
+     */
+    async request(messages, options) {
+        throw new Error(`${this.constructor.name}.request() is not implemented`);
+    }
+
+    /**
+     * Update rate limit information from response headers
+     * @param {Object} headers - Response headers
+     */
+    updateRateLimitInfo(headers) {
+    }
+
+    /**
+     * Checks if we're currently rate limited
+     * @returns {boolean} - Whether we're rate limited
+     */
+    isRateLimited() {
+        if (!this.rateLimitResetTime || this.rateLimitRemaining === null) {
+            return false;
+        }
+
+        const now = Date.now();
+        const isLimited = this.rateLimitRemaining <= 0 && now < this.rateLimitResetTime;
+
+        if (isLimited) {
+            const resetIn = Math.ceil((this.rateLimitResetTime - now) / 1000);
+            logger.warn('Rate limited', { provider: this.name, resetInSeconds: resetIn });
+        }
+
+        return isLimited;
+    }
+
+    /**
+     * Calculates exponential backoff delay for retries
+     * @param {number} attempt - Current attempt number (0-based)
+     * @param {number} baseDelay - Base delay in milliseconds
+     * @returns {number} - Delay in milliseconds
+     */
+    calculateRetryDelay(attempt, baseDelay = this.baseRetryDelay) {
+        // Exponential backoff with jitter: baseDelay * (2^attempt) + random(0, 1000)
+        const exponentialDelay = baseDelay * Math.pow(2, attempt);
+        const jitter = Math.random() * 1000;
+        return Math.min(exponentialDelay + jitter, 30000); // Cap at 30 seconds
+    }
+
+    /**
+     * Checks if we should retry based on error type and attempt count
+     * @param {Error} error - The error that occurred
+     * @param {number} attempt - Current attempt number (0-based)
+     * @returns {boolean} - Whether to retry
+     */
+    shouldRetry(error, attempt) {
+        if (attempt >= this.maxRetries) {
+            return false;
+        }
+
+        // Don't retry on authentication errors
+        if (error.response?.status === 401 || error.response?.status === 403) {
+            return false;
+        }
+
+        // Don't retry on client errors (400-499) except rate limiting
+        if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
+            return false;
+        }
+
+        // Retry on network errors, timeouts, and server errors
+        if (error.code === 'ECONNABORTED' ||
+            error.code === 'ETIMEDOUT' ||
+            error.code === 'ENOTFOUND' ||
+            error.code === 'ECONNRESET' ||
+            error.response?.status >= 500 ||
+            error.response?.status === 429) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Request a completion, retrying transient failures with exponential backoff
+     * @param {Array<Object>} messages - Chat messages ({ role, content })
+     * @param {Object} options - Request options, as for request(), plus:
+     * @param {Function} options.onRetry - Called with { provider, attempt } before a retry, so streamed output can be discarded
+     * @returns {Promise<Object>} Completion response
+     * @throws {Error} The last error once every attempt failed, with `provider` and `rateLimitResetTime` set
+     */
+    async complete(messages, options = {}) {
+        const { requestId, signal, onRetry } = options;
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                logger.debug('API attempt starting', {
+                    requestId,
+                    provider: this.name,
+                    attempt: attempt + 1,
+                    maxAttempts: this.maxRetries + 1
+                });
+
+                // Check rate limiting before making request
+                if (this.isRateLimited()) {
+                    const waitTime = this.rateLimitResetTime - Date.now();
+                    if (waitTime > 0 && waitTime < 60000) { // Only wait if less than 1 minute
+                        logger.info('Rate limited, waiting before retry', {
+                            requestId,
+                            provider: this.name,
+                            waitSeconds: Math.ceil(waitTime / 1000)
+                        });
+                        await new Promise(resolve => setTimeout(resolve, waitTime));
+                    } else {
+                        throw new Error('Rate limit exceeded, please try again later');
+                    }
+                }
+
+                const startTime = Date.now();
+                const response = await this.request(messages, options);
+                const responseTime = Date.now() - startTime;
+
+                if (response.headers) {
+                    this.updateRateLimitInfo(response.headers);
+                }
+
+                // Handle HTTP error status codes
+                if (response.status >= 400) {
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.response = response;
+                    throw error;
+                }
+
+                logger.info('API request successful', {
+                    requestId,
+                    provider: this.name,
+                    attempt: attempt + 1,
+                    responseTime: `${responseTime}ms`
+                });
+                return response;
+
+            } catch (error) {
+                lastError = error;
+
+                logger.error('API attempt failed', {
+                    requestId,
+                    provider: this.name,
+                    attempt: attempt + 1,
+                    error: error.message
+                });
+
+                // Log detailed error information
+                if (error.response) {
+                    logger.error('HTTP Error details', {
+                        requestId,
+                        provider: this.name,
+                        status: error.response.status,
+                        statusText: error.response.statusText,
+                        data: error.response.data,
+                        errorType: `http_${error.response.status}`
+                    });
+                } else if (error.request) {
+                    logger.error('Network Error details', {
+                        requestId,
+                        provider: this.name,
+                        code: error.code,
+                        message: error.message,
+                        errorType: error.code || 'network'
+                    });
+                } else {
+                    logger.error('Request Setup Error', {
+                        requestId,
+                        provider: this.name,
+                        message: error.message,
+                        errorType: 'request_setup'
+                    });
+                }
+
+                // Check if we should retry
+                if (!this.shouldRetry(error, attempt)) {
+                    logger.info('Not retrying due to error type', {
+                        requestId,
+                        provider: this.name,
+                        reason: error.message
+                    });
+                    break;
+                }
+
+                // Calculate delay for next attempt
+                if (attempt < this.maxRetries) {
+                    const delay = this.calculateRetryDelay(attempt);
+                    logger.info('Retrying after delay', {
+                        requestId,
+                        provider: this.name,
+                        delaySeconds: Math.ceil(delay / 1000)
+                    });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+
+                    // The client may have gone away while waiting
+                    if (signal?.aborted) {
+                        break;
+                    }
+                    if (onRetry) {
+                        onRetry({ provider: this.name, attempt: attempt + 2 });
+                    }
+                }
+            }
+        }
+
+        // All attempts failed, throw the last error
+        logger.error('All API attempts failed', {
+            requestId,
+            provider: this.name,
+            totalAttempts: this.maxRetries + 1,
+            finalError: lastError.message
+        });
+        lastError.provider = this.name;
+        lastError.rateLimitResetTime = this.rateLimitResetTime;
+        throw lastError;
+    }
+
+    /**
+     * Get provider status information
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            model: this.model,
+            configured: this.isConfigured()
+        };
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,145 @@
+const config = require('../utils/config.util');
+const logger = require('../utils/logger.util');
+
+/**
+ * LLMProviderChain - Tries providers in order, failing over to the next one when a provider is down
+ * Errors caused by the request itself (e.g. a 400) are not failed over, since every provider would reject it too.
+ */
+class LLMProviderChain {
+    /**
+     * @param {Array<LLMProvider>} providers - Providers, in failover order
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * Get the providers that can be used
+     * @returns {Array<LLMProvider>} Configured providers, in failover order
+     */
+    getAvailableProviders() {
+        return this.providers.filter(provider => provider.isConfigured());
+    }
+
+    /**
+     * Check whether any provider can be used
+     * @returns {boolean} Whether a provider is configured
+     */
+    isConfigured() {
+        return this.getAvailableProviders().length > 0;
+    }
+
+    /**
+     * Describe the providers for logging, e.g. 'groq:llama-3.1-8b-instant, stub:stub'
+     * @returns {string} Provider names and models
+     */
+    describe() {
+        return this.getAvailableProviders().map(provider => `${provider.name}:${provider.model}`).join(', ') || 'none';
+    }
+
+    /**
+     * Check whether an error should move the request on to the next provider
+     * @param {Error} error - Error the provider failed with
+     * @returns {boolean} Whether to fail over
+     */
+    shouldFailover(error) {
+        const status = error.response?.status;
+        if (status >= 400 && status < 500) {
+            // The provider is refusing us (bad key, rate limited), not the request
+            return status === 401 || status === 403 || status === 404 || status === 429;
+        }
+        return true;
+    }
+
+    /**
+     * Request a completion from the first provider that can answer
+     * @param {Array<Object>} messages - Chat messages ({ role, content })
+     * @param {Object} options - Request options, see LLMProvider.complete()
+     * @returns {Promise<Object>} Completion response, with `provider` set to the provider that answered
+     */
+    async complete(messages, options = {}) {
+        const { requestId, signal, onRetry } = options;
+        const providers = this.getAvailableProviders();
+        if (providers.length === 0) {
+            throw new Error('No AI provider is configured');
+        }
+
+        let lastError;
+        for (let i = 0; i < providers.length; i++) {
+            const provider = providers[i];
+            if (i > 0) {
+                logger.warn('Failing over to the next AI provider', {
+                    requestId,
+                    from: providers[i - 1].name,
+                    to: provider.name,
+                    reason: lastError.message
+                });
+                if (onRetry) {
+                    onRetry({ provider: provider.name, attempt: 1 });
+                }
+            }
+
+            try {
+                const response = await provider.complete(messages, options);
+                response.provider = provider.name;
+                return response;
+            } catch (error) {
+                lastError = error;
+                if (signal?.aborted || !this.shouldFailover(error)) {
+                    break;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Get the status of every provider
+     * @returns {Array<Object>} Status information
+     */
+    getStatus() {
+        return this.providers.map(provider => provider.getStatus());
+    }
+
+    /**
+     * Create the provider chain selected by configuration
+     * AI_PROVIDERS: comma separated failover order of 'groq', 'openai' (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL,
+     * OPENAI_TIMEOUT) and 'stub' (offline). Defaults to 'groq'.
+     * @returns {LLMProviderChain} Provider chain
+     */
+    static create() {
+        const GroqProvider = require('./GroqProvider');
+        const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+        const StubLLMProvider = require('./StubLLMProvider');
+
+        const names = String(config('AI_PROVIDERS') || 'groq').split(',').map(name => name.trim()).filter(Boolean);
+        const providers = [];
+        for (const name of names) {
+            switch (name) {
+                case 'groq':
+                    providers.push(new GroqProvider());
+                    break;
+                case 'openai':
+                    providers.push(new OpenAICompatibleProvider({
+                        baseUrl: config('OPENAI_BASE_URL'),
+                        apiKey: config('OPENAI_API_KEY'),
+                        model: config('OPENAI_MODEL'),
+                        timeout: parseInt(config('OPENAI_TIMEOUT')) || 60000
+                    }));
+                    break;
+                case 'stub':
+                    providers.push(new StubLLMProvider());
+                    break;
+                default:
+                    logger.warn(`Invalid AI provider in AI_PROVIDERS: ${name}. Ignoring it`);
+            }
+        }
+
+        const chain = new LLMProviderChain(providers);
+        logger.info('AI providers configured', { providers: chain.describe() });
+        return chain;
+    }
+}
+
+module.exports = LLMProviderChain;
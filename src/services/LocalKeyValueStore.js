@@ -0,0 +1,77 @@
+const EventEmitter = require('events');
+
+// Shared by every instance so duplicated connections see the same data and events
+const store = new Map();
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * LocalKeyValueStore - In-process stand-in for a redis client
+ * Implements the small subset used by KeyValueSessionCache (get, set with PX, del,
+ * publish, subscribe). Useful for development and for running the shared cache code path
+ * without a redis server; it does not share anything across processes.
+ */
+class LocalKeyValueStore extends EventEmitter {
+    constructor() {
+        super();
+        this.channels = new Set();
+        this.listener = (channel, message) => {
+            if (this.channels.has(channel)) {
+                this.emit('message', channel, message);
+            }
+        };
+    }
+
+    async get(key) {
+        const entry = store.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt !== null && Date.now() > entry.expiresAt) {
+            store.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, mode, duration) {
+        store.set(key, {
+            value: String(value),
+            expiresAt: mode === 'PX' ? Date.now() + duration : null
+        });
+        return 'OK';
+    }
+
+    async del(key) {
+        return store.delete(key) ? 1 : 0;
+    }
+
+    async publish(channel, message) {
+        const receivers = bus.listenerCount('message');
+        // Deliver asynchronously, like a real pub/sub round trip
+        setImmediate(() => bus.emit('message', channel, message));
+        return receivers;
+    }
+
+    async subscribe(channel) {
+        if (this.channels.size === 0) {
+            bus.on('message', this.listener);
+        }
+        this.channels.add(channel);
+        return this.channels.size;
+    }
+
+    duplicate() {
+        return new LocalKeyValueStore();
+    }
+
+    async quit() {
+        this.channels.clear();
+        bus.off('message', this.listener);
+        return 'OK';
+    }
+}
+
+module.exports = LocalKeyValueStore;
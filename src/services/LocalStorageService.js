@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const logger = require('../utils/logger.util');
+const { generateToken } = require('../utils/token.util');
 
 /**
  * LocalStorageService - Handles local file system storage operations
@@ -33,7 +34,9 @@ class LocalStorageService {
             if (!userId) {
                 throw new Error('User ID is required for avatar file paths');
             }
-            return path.join(this.avatarsPath, `${userId}.png`);
+            // avatar.png -> <userId>.png, avatar-<size>.png -> <userId>-<size>.png
+            const sizeSuffix = /^avatar(-\d+)\.png$/.exec(filename)?.[1] || '';
+            return path.join(this.avatarsPath, `${userId}${sizeSuffix}.png`);
         } else {
             return path.join(this.userfilesPath, filename);
         }
@@ -447,20 +450,12 @@ class LocalStorageService {
     }
 
     /**
-     * Generate a random string for filenames (same as FileController)
+     * Generate a random string for filenames
      * @param {number} length - Length of the string (default: 11)
      * @returns {string} Random string
      */
     generateString(length = 11) {
-        let result = '';
-        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-        const charactersLength = characters.length;
-        let counter = 0;
-        while (counter < length) {
-            result += characters.charAt(Math.floor(Math.random() * charactersLength));
-            counter += 1;
-        }
-        return result;
+        return generateToken(length);
     }
 
     /**
@@ -0,0 +1,61 @@
+const AttemptStore = require('./AttemptStore');
+const LRUCache = require('../utils/lru-cache.util');
+
+/**
+ * MemoryAttemptStore - Per-process attempt counters
+ * Bounded in size, so a flood of distinct keys can't exhaust memory
+ */
+class MemoryAttemptStore extends AttemptStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxEntries - Maximum number of tracked keys
+     * @param {number} options.ttl - How long records are kept, in milliseconds
+     */
+    constructor({ maxEntries = 50000, ttl = 1000 * 60 * 60 } = {}) {
+        super();
+        this.records = new LRUCache({ maxEntries, ttl });
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+        return record ? { ...record } : null;
+    }
+
+    async recordFailure(key, window) {
+        const now = Date.now();
+        let record = this.records.get(key);
+
+        if (!record || now - record.firstFailure > window) {
+            record = {
+                failures: 0,
+                firstFailure: now,
+                lastFailure: now,
+                lockedUntil: record ? record.lockedUntil : null
+            };
+        }
+
+        record.failures++;
+        record.lastFailure = now;
+        this.records.set(key, record);
+        return { ...record };
+    }
+
+    async lock(key, until) {
+        const record = this.records.get(key) || { failures: 0, firstFailure: Date.now(), lastFailure: Date.now() };
+        record.lockedUntil = until;
+        this.records.set(key, record);
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+
+    getStatus() {
+        return {
+            driver: 'memory',
+            ...this.records.getStats()
+        };
+    }
+}
+
+module.exports = MemoryAttemptStore;
@@ -0,0 +1,39 @@
+const SessionCache = require('./SessionCache');
+const LRUCache = require('../utils/lru-cache.util');
+
+/**
+ * MemorySessionCache - Per-process LRU session cache
+ * Suitable for single-instance deployments: revocations only reach this process
+ */
+class MemorySessionCache extends SessionCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum number of cached sessions
+     * @param {number} options.ttl - Time to live for each entry in milliseconds
+     */
+    constructor({ maxEntries = 10000, ttl = 1000 * 60 * 30 } = {}) {
+        super();
+        this.cache = new LRUCache({ maxEntries, ttl });
+    }
+
+    async get(token) {
+        return this.cache.get(token) || null;
+    }
+
+    async set(token, entry) {
+        this.cache.set(token, { ...entry });
+    }
+
+    async revoke(token) {
+        this.cache.delete(token);
+    }
+
+    getStatus() {
+        return {
+            driver: 'memory',
+            ...this.cache.getStats()
+        };
+    }
+}
+
+module.exports = MemorySessionCache;
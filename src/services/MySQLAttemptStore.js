@@ -0,0 +1,80 @@
+const AttemptStore = require('./AttemptStore');
+const db = require('../utils/database.util');
+
+/**
+ * MySQLAttemptStore - Attempt counters in the LoginAttempts table
+ * Shared by every instance using the same database
+ */
+class MySQLAttemptStore extends AttemptStore {
+    async get(key) {
+        const [rows] = await db.execute(
+            'SELECT failures, firstFailure, lastFailure, lockedUntil FROM LoginAttempts WHERE attemptKey = ?',
+            [key]
+        );
+        return rows.length > 0 ? this.fromRow(rows[0]) : null;
+    }
+
+    async recordFailure(key, window) {
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - window);
+
+        // Assignments run left to right, so 'failures' is decided before 'firstFailure' moves
+        await db.execute(
+            `INSERT INTO LoginAttempts (attemptKey, failures, firstFailure, lastFailure) VALUES (?, 1, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                failures = IF(firstFailure < ?, 1, failures + 1),
+                firstFailure = IF(firstFailure < ?, VALUES(firstFailure), firstFailure),
+                lastFailure = VALUES(lastFailure)`,
+            [key, now, now, windowStart, windowStart]
+        );
+
+        return this.get(key);
+    }
+
+    async lock(key, until) {
+        const now = new Date();
+        await db.execute(
+            `INSERT INTO LoginAttempts (attemptKey, failures, firstFailure, lastFailure, lockedUntil) VALUES (?, 0, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE lockedUntil = VALUES(lockedUntil)`,
+            [key, now, now, new Date(until)]
+        );
+    }
+
+    async reset(key) {
+        await db.execute('DELETE FROM LoginAttempts WHERE attemptKey = ?', [key]);
+    }
+
+    /**
+     * Remove records with no recent failures and no active lock
+     * @param {number} maxAge - Age in milliseconds after which idle records are removed
+     * @returns {Promise<void>}
+     */
+    async sweep(maxAge) {
+        const now = new Date();
+        await db.execute(
+            'DELETE FROM LoginAttempts WHERE lastFailure < ? AND (lockedUntil IS NULL OR lockedUntil < ?)',
+            [new Date(now.getTime() - maxAge), now]
+        );
+    }
+
+    /**
+     * Convert a row to a record with millisecond timestamps
+     * @param {Object} row - Database row
+     * @returns {Object} Attempt record
+     * @private
+     */
+    fromRow(row) {
+        return {
+            failures: row.failures,
+            firstFailure: new Date(row.firstFailure).getTime(),
+            lastFailure: new Date(row.lastFailure).getTime(),
+            lockedUntil: row.lockedUntil ? new Date(row.lockedUntil).getTime() : null
+        };
+    }
+
+    getStatus() {
+        return { driver: 'mysql' };
+    }
+}
+
+module.exports = MySQLAttemptStore;
@@ -0,0 +1,206 @@
+const axios = require('axios');
+const LLMProvider = require('./LLMProvider');
+const logger = require('../utils/logger.util');
+
+/**
+ * OpenAICompatibleProvider - Any server implementing the OpenAI chat completions API
+ * (llama.cpp, Ollama, vLLM, OpenAI itself...). The API key is optional, since local servers usually don't need one.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {Object} options - Provider options, as for LLMProvider, plus:
+     * @param {string} options.baseUrl - API base URL, e.g. 'http://localhost:11434/v1'
+     * @param {string} options.apiKey - API key sent as a Bearer token, if any
+     * @param {string} options.model - Model name
+     * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+     * @param {number} options.streamIdleTimeout - How long a streamed response may go without sending anything, in milliseconds (default: timeout)
+     * @param {boolean} options.jsonMode - Whether the server supports response_format json_object (default: true)
+     * @param {boolean} options.streamUsage - Whether the server supports stream_options include_usage (default: true)
+     */
+    constructor({ name = 'openai', baseUrl, apiKey = '', model, timeout = 30000, streamIdleTimeout, jsonMode = true, streamUsage = true, ...options } = {}) {
+        super({ name, ...options });
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey || '';
+        this.model = model || null;
+        this.timeout = timeout;
+        // axios' timeout only covers waiting for the response headers, not the stream after them
+        this.streamIdleTimeout = streamIdleTimeout || timeout;
+        this.jsonMode = jsonMode;
+        this.streamUsage = streamUsage;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && !!this.model;
+    }
+
+    /**
+     * Builds the axios configuration for a chat completion request
+     * @param {Array<Object>} messages - Chat messages ({ role, content })
+     * @param {Object} options - Request options
+     * @returns {Object} - Axios request configuration
+     */
+    createRequestConfig(messages, { signal, onDelta, temperature, maxTokens, json } = {}) {
+        const stream = !!onDelta;
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            method: 'post',
+            url: `${this.baseUrl}/chat/completions`,
+            data: {
+                model: this.model,
+                messages,
+                ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+                ...(temperature !== undefined ? { temperature } : {}),
+                ...(maxTokens ? { max_tokens: maxTokens } : {}),
+                ...(stream ? { stream: true } : {}),
+                // Most servers only report usage for a stream when asked to, in a last chunk with no choices
+                ...(stream && this.streamUsage ? { stream_options: { include_usage: true } } : {})
+            },
+            headers,
+            timeout: this.timeout,
+            responseType: stream ? 'stream' : 'json',
+            signal,
+            // Don't throw on HTTP errors, the retry logic handles them
+            validateStatus: (status) => status < 600,
+            maxRedirects: 3
+        };
+    }
+
+    async request(messages, options = {}) {
+        const { requestId, onDelta } = options;
+
+        logger.debug('Making chat completion request', {
+            requestId,
+            provider: this.name,
+            timeout: `${this.timeout}ms`,
+            model: this.model,
+            stream: !!onDelta
+        });
+
+        let response;
+        try {
+            response = await axios(this.createRequestConfig(messages, options));
+        } catch (error) {
+            // Enhance error information
+            if (error.code === 'ECONNABORTED') {
+                error.message = `Request timeout after ${this.timeout}ms`;
+            }
+            throw error;
+        }
+
+        logger.debug('API request completed', {
+            requestId,
+            provider: this.name,
+            status: response.status
+        });
+
+        return onDelta ? this.readStream(response, options) : response;
+    }
+
+    /**
+     * Forward a streamed (SSE) completion as it arrives
+     * The chunks are put back together into the shape of a regular completion response, so it can be validated the same way
+     * @param {Object} response - Axios response with a stream body
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Completion response
+     */
+    async readStream(response, { requestId, onDelta }) {
+        response.data.setEncoding('utf8');
+
+        // A server that stops sending without closing the connection would otherwise hold the request open forever
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                const error = new Error(`Stream timeout after ${this.streamIdleTimeout}ms without data`);
+                error.code = 'ECONNABORTED';
+                response.data.destroy(error);
+            }, this.streamIdleTimeout);
+        };
+        resetIdleTimer();
+        response.data.once('close', () => clearTimeout(idleTimer));
+
+        // Error responses aren't streamed, read them whole so they can be logged like any other
+        if (response.status >= 400) {
+            let body = '';
+            for await (const chunk of response.data) {
+                resetIdleTimer();
+                body += chunk;
+            }
+            try {
+                response.data = JSON.parse(body);
+            } catch (error) {
+                response.data = body;
+            }
+            return response;
+        }
+
+        let content = '';
+        let usage = null;
+        let buffer = '';
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) {
+                return;
+            }
+            const payload = line.substring(5).trim();
+            if (payload === '' || payload === '[DONE]') {
+                return;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(payload);
+            } catch (error) {
+                logger.warn('Skipping malformed stream chunk', { requestId, provider: this.name, error: error.message });
+                return;
+            }
+
+            usage = this.readStreamUsage(chunk) || usage;
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+        };
+
+        try {
+            for await (const chunk of response.data) {
+                resetIdleTimer();
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(line => handleLine(line.trim()));
+            }
+        } catch (error) {
+            // A stream cut short (e.g. cancelled) may already have reported what it used
+            error.usage = usage;
+            throw error;
+        }
+        handleLine(buffer.trim());
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            data: {
+                choices: [{ message: { content } }],
+                usage
+            }
+        };
+    }
+
+    /**
+     * Get the token usage from a stream chunk, if it carries it
+     * @param {Object} chunk - Parsed stream chunk
+     * @returns {Object|null} Usage ({ prompt_tokens, completion_tokens, total_tokens })
+     */
+    readStreamUsage(chunk) {
+        return chunk.usage || null;
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
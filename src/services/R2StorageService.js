@@ -225,8 +225,8 @@ class R2StorageService {
         const folderPath = this.getUserFolderPath(userId, isAvatar);
         
         if (isAvatar) {
-            // For avatars, use a standard filename
-            return `${folderPath}avatar.png`;
+            // For avatars, use a standard filename: avatar.png, or avatar-<size>.png for its other sizes
+            return `${folderPath}${/^avatar-\d+\.png$/.test(filename) ? filename : 'avatar.png'}`;
         } else {
             // For regular uploads, preserve the original filename
             // Sanitize filename to prevent path traversal
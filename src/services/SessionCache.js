@@ -0,0 +1,97 @@
+const config = require('../utils/config.util');
+const logger = require('../utils/logger.util');
+
+/**
+ * SessionCache - Interface for caching validated sessions
+ * Entries are keyed by the session token's hash and hold { id, sessionId, lastSeen }
+ * Implementations must never throw from get(): a failing cache is treated as a miss
+ */
+class SessionCache {
+    /**
+     * Get a cached session entry
+     * @param {string} token - Session token
+     * @returns {Promise<Object|null>} Cached entry or null on a miss
+     */
+    async get(token) {
+        throw new Error('SessionCache.get() is not implemented');
+    }
+
+    /**
+     * Cache a session entry
+     * @param {string} token - Session token
+     * @param {Object} entry - Session entry to cache
+     * @returns {Promise<void>}
+     */
+    async set(token, entry) {
+        throw new Error('SessionCache.set() is not implemented');
+    }
+
+    /**
+     * Revoke a session token on every instance sharing this cache
+     * @param {string} token - Session token
+     * @returns {Promise<void>}
+     */
+    async revoke(token) {
+        throw new Error('SessionCache.revoke() is not implemented');
+    }
+
+    /**
+     * Release any connections held by the cache
+     * @returns {Promise<void>}
+     */
+    async close() {}
+
+    /**
+     * Get cache status information
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return { driver: 'unknown' };
+    }
+
+    /**
+     * Create the session cache selected by configuration
+     * SESSION_CACHE_DRIVER: 'memory' (default), 'redis' or 'local' (in-process stand-in for redis)
+     * @returns {SessionCache} Session cache instance
+     */
+    static create() {
+        const MemorySessionCache = require('./MemorySessionCache');
+        const KeyValueSessionCache = require('./KeyValueSessionCache');
+        const LocalKeyValueStore = require('./LocalKeyValueStore');
+
+        const driver = config('SESSION_CACHE_DRIVER') || 'memory';
+        const options = {
+            maxEntries: parseInt(config('SESSION_CACHE_MAX_ENTRIES')) || 10000,
+            ttl: parseInt(config('SESSION_CACHE_TTL')) || 1000 * 60 * 30
+        };
+
+        try {
+            switch (driver) {
+                case 'redis': {
+                    // Only required when selected, so memory-only deployments don't need a redis client
+                    const Redis = require('ioredis');
+                    const client = new Redis(config('SESSION_CACHE_URL'));
+                    return new KeyValueSessionCache(client, client.duplicate(), options);
+                }
+                case 'local': {
+                    const client = new LocalKeyValueStore();
+                    return new KeyValueSessionCache(client, client.duplicate(), options);
+                }
+                case 'memory':
+                    return new MemorySessionCache(options);
+                default:
+                    logger.warn(`Invalid SESSION_CACHE_DRIVER: ${driver}. Using 'memory' as default`);
+                    return new MemorySessionCache(options);
+            }
+        } catch (error) {
+            logger.error('Failed to create session cache, falling back to memory', {
+                driver,
+                error: error.message,
+                errorType: 'session_cache_init_error'
+            });
+            return new MemorySessionCache(options);
+        }
+    }
+}
+
+module.exports = SessionCache;
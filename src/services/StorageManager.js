@@ -3,6 +3,7 @@ const LocalStorageService = require('./LocalStorageService');
 const R2Config = require('../utils/r2-config.util');
 const logger = require('../utils/logger.util');
 const notificationManager = require('../utils/notification.util');
+const { DEFAULT_AVATAR_SIZE, avatarFilename, processAvatar } = require('../utils/avatar.util');
 
 /**
  * StorageManager - Orchestrates between R2 and local storage
@@ -499,22 +500,30 @@ class StorageManager {
 
     /**
      * Upload avatar file with specific handling
+     * The image is cropped to a square and stored as a PNG at each standard size, without its EXIF data
      * @param {string} userId - User ID
-     * @param {Buffer|Uint8Array} imageData - Avatar image data
-     * @param {string} contentType - Image MIME type (default: image/png)
+     * @param {Buffer|Uint8Array} imageData - Avatar image data, in any format that can be decoded
      * @param {Object} options - Additional options
-     * @returns {Promise<Object>} Upload result
+     * @returns {Promise<Object>} Upload result of the default size
      */
-    async uploadAvatar(userId, imageData, contentType = 'image/png', options = {}) {
-        return await this.uploadFile(userId, imageData, 'avatar.png', {
-            isAvatar: true,
-            contentType,
-            metadata: {
-                fileType: 'avatar',
-                processedDate: new Date().toISOString()
-            },
-            ...options
-        });
+    async uploadAvatar(userId, imageData, options = {}) {
+        const variants = await processAvatar(imageData);
+
+        // Smallest first, so avatar.png, which every existing link points to, is only replaced once the other sizes are
+        let result = null;
+        for (const { size, data } of variants) {
+            result = await this.uploadFile(userId, data, avatarFilename(size), {
+                isAvatar: true,
+                contentType: 'image/png',
+                metadata: {
+                    fileType: 'avatar',
+                    size: String(size),
+                    processedDate: new Date().toISOString()
+                },
+                ...options
+            });
+        }
+        return result;
     }
 
     /**
@@ -760,23 +769,31 @@ class StorageManager {
      * Get avatar data or stream for a specific user
      * @param {string} userId - User ID
      * @param {Object} options - Retrieval options
+     * @param {number} options.size - Standard avatar size (default: the default size)
      * @param {boolean} options.returnStream - Whether to return stream instead of buffer
      * @param {boolean} options.forceLocal - Force use of local storage
      * @returns {Promise<Object|null>} Avatar data/stream or null if not found
      */
     async getAvatar(userId, options = {}) {
-        try {
-            return await this.getFile(userId, 'avatar.png', {
-                ...options,
-                isAvatar: true
-            });
-        } catch (error) {
-            if (error.message.includes('File not found')) {
-                logger.debug('Avatar not found in any storage', { userId });
-                return null;
+        const { size = DEFAULT_AVATAR_SIZE, ...retrievalOptions } = options;
+        // Avatars uploaded before they were resized only exist at the default size
+        const filenames = [...new Set([avatarFilename(size), avatarFilename()])];
+
+        for (const filename of filenames) {
+            try {
+                return await this.getFile(userId, filename, {
+                    ...retrievalOptions,
+                    isAvatar: true
+                });
+            } catch (error) {
+                if (!error.message.includes('File not found')) {
+                    throw error;
+                }
             }
-            throw error;
         }
+
+        logger.debug('Avatar not found in any storage', { userId, size });
+        return null;
     }
 
     /**
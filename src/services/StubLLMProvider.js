@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const LLMProvider = require('./LLMProvider');
+
+const FONTS = ['default', 'serif', 'mono'];
+
+/**
+ * StubLLMProvider - Offline provider for tests and local development
+ * Answers every prompt with three valid design alternatives, picked deterministically from the prompt,
+ * so the same conversation always gets the same response. Streams like a real provider when asked to.
+ */
+class StubLLMProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'stub', maxRetries: 0, ...options });
+        this.model = 'stub';
+    }
+
+    async request(messages, { onDelta } = {}) {
+        const prompt = messages.map(message => message.content).join('\n');
+        const seed = crypto.createHash('sha256').update(prompt).digest();
+
+        const alternatives = {};
+        for (let i = 0; i < 3; i++) {
+            alternatives['a' + (i + 1)] = {
+                components: [
+                    {
+                        type: 'generic',
+                        content: {
+                            title: `Alternative ${i + 1}`,
+                            description: 'This design was generated offline by the stub AI provider.'
+                        }
+                    }
+                ],
+                profileDesign: {
+                    colour: seed[i * 4] % 12,
+                    design: seed[i * 4 + 1] % 3 + 1,
+                    font: FONTS[seed[i * 4 + 2] % FONTS.length],
+                    borderRadius: seed[i * 4 + 3] % 41
+                }
+            };
+        }
+        const content = JSON.stringify(alternatives);
+
+        if (onDelta) {
+            for (let i = 0; i < content.length; i += 32) {
+                onDelta(content.substring(i, i + 32));
+            }
+        }
+
+        // Roughly four characters per token, like most tokenizers
+        const promptTokens = Math.ceil(prompt.length / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+
+        return {
+            status: 200,
+            statusText: 'OK',
+            headers: {},
+            data: {
+                choices: [{ message: { content } }],
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                }
+            }
+        };
+    }
+}
+
+module.exports = StubLLMProvider;
@@ -0,0 +1,64 @@
+const sharp = require('sharp');
+
+/**
+ * Avatar Utility
+ * Turns uploaded avatars into square PNGs at a few standard sizes, whatever format they were uploaded in
+ */
+
+// Sizes avatars are stored at, smallest first
+const AVATAR_SIZES = [64, 256, 512];
+// Served when no size is asked for, and the only size avatars uploaded before resizing have
+const DEFAULT_AVATAR_SIZE = 512;
+
+// Images are refused before being decoded past this, so a small file can't expand into a huge bitmap
+const MAX_INPUT_PIXELS = 40000000;
+
+/**
+ * Get the stored filename of an avatar size
+ * @param {number} size - Avatar size (default: the default size)
+ * @returns {string} avatar.png for the default size, avatar-<size>.png for the others
+ */
+function avatarFilename(size = DEFAULT_AVATAR_SIZE) {
+    return size === DEFAULT_AVATAR_SIZE ? 'avatar.png' : `avatar-${size}.png`;
+}
+
+/**
+ * Pick the standard size to serve for a requested one
+ * @param {string|number} requested - Requested size, e.g. from ?size=
+ * @returns {number} Smallest standard size at least as large, or the default size
+ */
+function pickAvatarSize(requested) {
+    const size = parseInt(requested);
+    if (isNaN(size)) {
+        return DEFAULT_AVATAR_SIZE;
+    }
+    return AVATAR_SIZES.find(standard => standard >= size) || DEFAULT_AVATAR_SIZE;
+}
+
+/**
+ * Decode an avatar, crop it to a centered square and encode it as PNG at every standard size
+ * @param {Buffer} imageData - Uploaded image
+ * @returns {Promise<Array<Object>>} [{ size, data }], smallest first
+ * @throws {Error} With invalidImage set, if the image can't be decoded
+ */
+async function processAvatar(imageData) {
+    try {
+        // Orientation is applied first, as the EXIF data it comes from isn't copied to the output
+        const image = sharp(imageData, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+        return await Promise.all(AVATAR_SIZES.map(async size => ({
+            size,
+            data: await image.clone().resize(size, size, { fit: 'cover', position: 'centre' }).png().toBuffer()
+        })));
+    } catch (error) {
+        throw Object.assign(new Error(`Invalid avatar image: ${error.message}`), { invalidImage: true });
+    }
+}
+
+module.exports = {
+    AVATAR_SIZES,
+    DEFAULT_AVATAR_SIZE,
+    avatarFilename,
+    pickAvatarSize,
+    processAvatar
+};
@@ -0,0 +1,130 @@
+/**
+ * File Type Utility
+ * Identifies uploads by their contents rather than their name, so a renamed HTML or SVG file can't pass as an image
+ */
+
+/**
+ * Formats uploads may be in
+ * - contentType: type the file is stored and served with
+ * - extensions: extensions a file in this format may be named with
+ */
+const FORMATS = {
+    png: { contentType: 'image/png', extensions: ['png'] },
+    jpeg: { contentType: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+    webp: { contentType: 'image/webp', extensions: ['webp'] },
+    pdf: { contentType: 'application/pdf', extensions: ['pdf'] }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Check a PNG's header chunk, which must come first
+ * @param {Buffer} data - File contents, starting with the PNG signature
+ * @returns {string|null} What is wrong with it, or null if nothing is
+ */
+function checkPNG(data) {
+    if (data.length < 33 || data.readUInt32BE(8) !== 13 || data.toString('latin1', 12, 16) !== 'IHDR') {
+        return 'missing image header';
+    }
+    if (data.readUInt32BE(16) === 0 || data.readUInt32BE(20) === 0) {
+        return 'invalid image size';
+    }
+    if (![1, 2, 4, 8, 16].includes(data[24]) || ![0, 2, 3, 4, 6].includes(data[25])) {
+        return 'invalid image header';
+    }
+    return null;
+}
+
+/**
+ * Walk a JPEG's segments up to its frame header, which holds the image size
+ * @param {Buffer} data - File contents, starting with the JPEG start of image marker
+ * @returns {string|null} What is wrong with it, or null if nothing is
+ */
+function checkJPEG(data) {
+    let position = 2;
+    while (position + 4 <= data.length) {
+        if (data[position] !== 0xff) {
+            return 'invalid segment';
+        }
+        const marker = data[position + 1];
+        if (marker === 0xff) {
+            // Fill byte before a marker
+            position++;
+            continue;
+        }
+        if (marker === 0xda || marker === 0xd9) {
+            return 'image data before the frame header';
+        }
+
+        const length = data.readUInt16BE(position + 2);
+        if (length < 2) {
+            return 'invalid segment';
+        }
+        // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC) which share the range
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            if (length < 8 || position + 9 > data.length) {
+                return 'truncated frame header';
+            }
+            return data.readUInt16BE(position + 5) === 0 || data.readUInt16BE(position + 7) === 0 ? 'invalid image size' : null;
+        }
+        position += 2 + length;
+    }
+    return 'missing frame header';
+}
+
+/**
+ * Check a WebP's RIFF container and its first chunk
+ * @param {Buffer} data - File contents, starting with a RIFF WEBP header
+ * @returns {string|null} What is wrong with it, or null if nothing is
+ */
+function checkWebP(data) {
+    if (data.length < 30 || data.readUInt32LE(4) + 8 > data.length) {
+        return 'truncated file';
+    }
+
+    switch (data.toString('latin1', 12, 16)) {
+        case 'VP8 ':
+            // Lossy: key frame start code
+            return data[23] === 0x9d && data[24] === 0x01 && data[25] === 0x2a ? null : 'invalid image header';
+        case 'VP8L':
+            // Lossless: signature byte
+            return data[20] === 0x2f ? null : 'invalid image header';
+        case 'VP8X':
+            return data.readUInt32LE(16) >= 10 ? null : 'invalid image header';
+        default:
+            return 'missing image header';
+    }
+}
+
+/**
+ * Identify a file from its magic bytes, and check that its header is well formed
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { format, contentType, extensions, error (null if well formed) }, or null if it isn't a known format
+ */
+function detectFileType(data) {
+    if (!Buffer.isBuffer(data)) {
+        return null;
+    }
+
+    let format = null;
+    let error = null;
+    if (data.length >= 8 && data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        format = 'png';
+        error = checkPNG(data);
+    } else if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+        format = 'jpeg';
+        error = checkJPEG(data);
+    } else if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+        format = 'webp';
+        error = checkWebP(data);
+    } else if (data.toString('latin1', 0, 5) === '%PDF-') {
+        format = 'pdf';
+        error = /^%PDF-\d\.\d/.test(data.toString('latin1', 0, 8)) ? null : 'invalid version';
+    }
+
+    return format ? { format, ...FORMATS[format], error } : null;
+}
+
+module.exports = {
+    detectFileType
+};
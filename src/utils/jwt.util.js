@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * JWT Utility
+ * Minimal HS256 JSON Web Tokens for short-lived access tokens
+ * Only the HS256 algorithm is accepted, so tokens signed with 'none' or another algorithm are rejected
+ */
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Encode a value as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string without padding
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Compute the HS256 signature of a token's header and payload
+ * @param {string} data - "<header>.<payload>"
+ * @param {string} secret - Signing key
+ * @returns {string} base64url encoded signature
+ */
+function signature(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Claims to include
+ * @param {string} secret - Signing key
+ * @param {Object} options - Signing options
+ * @param {number} options.expiresIn - Lifetime in seconds, sets the 'exp' claim
+ * @returns {string} Signed token
+ */
+function sign(payload, secret, { expiresIn } = {}) {
+    if (!secret) {
+        throw new Error('A secret is required to sign tokens');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { ...payload, iat: now };
+    if (expiresIn) {
+        claims.exp = now + expiresIn;
+    }
+
+    const data = base64url(JSON.stringify(HEADER)) + '.' + base64url(JSON.stringify(claims));
+    return data + '.' + signature(data, secret);
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token to verify
+ * @param {string} secret - Signing key
+ * @returns {Object|null} The token's claims, or null if it is malformed, forged or expired
+ */
+function verify(token, secret) {
+    if (!token || !secret || typeof token !== 'string') {
+        return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const expected = Buffer.from(signature(encodedHeader + '.' + encodedPayload, secret));
+    const received = Buffer.from(encodedSignature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+        if (header.alg !== HEADER.alg) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+        if (claims.exp && Math.floor(Date.now() / 1000) >= claims.exp) {
+            return null;
+        }
+
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    sign,
+    verify
+};
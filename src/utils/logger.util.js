@@ -57,6 +57,16 @@ class Logger {
                     lastCheck: null,
                     lastStatus: null
                 }
+            },
+            rateLimit: {
+                allowed: 0,
+                limited: 0,
+                policies: new Map() // Policy name -> { allowed, limited }
+            },
+            aiCache: {
+                hits: 0,
+                misses: 0,
+                coalesced: 0
             }
         };
 
@@ -323,16 +333,40 @@ class Logger {
             ? Math.round((this.metrics.successes / this.metrics.requests) * 100)
             : 0;
 
+        const aiCache = this.metrics.aiCache;
+        const cacheLookups = aiCache.hits + aiCache.misses + aiCache.coalesced;
+        // Coalesced requests didn't need an upstream call of their own either
+        const cacheHitRate = cacheLookups > 0
+            ? Math.round(((aiCache.hits + aiCache.coalesced) / cacheLookups) * 100)
+            : 0;
+
         return {
             totalRequests: this.metrics.requests,
             successes: this.metrics.successes,
             failures: this.metrics.failures,
             successRate: `${successRate}%`,
             averageResponseTime: `${avgResponseTime}ms`,
-            errorBreakdown: Object.fromEntries(this.metrics.errors)
+            errorBreakdown: Object.fromEntries(this.metrics.errors),
+            cache: {
+                hits: aiCache.hits,
+                misses: aiCache.misses,
+                coalesced: aiCache.coalesced,
+                hitRate: `${cacheHitRate}%`
+            }
         };
     }
 
+    /**
+     * Log an AI response cache lookup with metrics tracking
+     * @param {string} outcome - 'hit', 'miss' or 'coalesced' (joined an identical request in progress)
+     * @param {Object} context - Additional context information
+     */
+    logAICache(outcome, context = {}) {
+        const counter = outcome === 'hit' ? 'hits' : outcome === 'miss' ? 'misses' : 'coalesced';
+        this.metrics.aiCache[counter]++;
+        this.debug('AI response cache lookup', { outcome, ...context });
+    }
+
     /**
      * Log metrics summary
      */
@@ -542,6 +576,58 @@ class Logger {
         this.info('Storage Metrics Summary', metrics);
     }
 
+    /**
+     * Log a rate limiter decision with metrics tracking
+     * @param {string} policy - Name of the policy applied
+     * @param {string} key - Bucket key ('ip:...', 'user:...' or 'apiKey:...')
+     * @param {boolean} allowed - Whether the request was let through
+     * @param {Object} context - Additional context information
+     */
+    logRateLimit(policy, key, allowed, context = {}) {
+        const rateLimit = this.metrics.rateLimit;
+        const policyMetrics = rateLimit.policies.get(policy) || { allowed: 0, limited: 0 };
+
+        if (allowed) {
+            rateLimit.allowed++;
+            policyMetrics.allowed++;
+        } else {
+            rateLimit.limited++;
+            policyMetrics.limited++;
+            // Debug level: a client being throttled can produce a lot of these
+            this.debug('Request rate limited', {
+                policy,
+                keyType: key.split(':')[0],
+                ...context
+            });
+        }
+
+        rateLimit.policies.set(policy, policyMetrics);
+    }
+
+    /**
+     * Get rate limiting metrics
+     * @returns {Object} Rate limiting metrics summary
+     */
+    getRateLimitMetrics() {
+        const rateLimit = this.metrics.rateLimit;
+        const total = rateLimit.allowed + rateLimit.limited;
+
+        return {
+            allowed: rateLimit.allowed,
+            limited: rateLimit.limited,
+            limitedRate: total > 0 ? Math.round((rateLimit.limited / total) * 100) : 0,
+            policies: Object.fromEntries(rateLimit.policies)
+        };
+    }
+
+    /**
+     * Log rate limiting metrics summary
+     */
+    logRateLimitMetrics() {
+        const metrics = this.getRateLimitMetrics();
+        this.info('Rate Limit Metrics Summary', metrics);
+    }
+
     /**
      * Create monitoring alert for storage issues
      * @param {string} alertType - Type of alert
@@ -609,6 +695,16 @@ class Logger {
                     lastCheck: null,
                     lastStatus: null
                 }
+            },
+            rateLimit: {
+                allowed: 0,
+                limited: 0,
+                policies: new Map() // Policy name -> { allowed, limited }
+            },
+            aiCache: {
+                hits: 0,
+                misses: 0,
+                coalesced: 0
             }
         };
         this.info('Metrics reset');
@@ -0,0 +1,108 @@
+/**
+ * LRU Cache Utility
+ * Size-bounded in-memory cache with optional per-entry expiry
+ * The least recently used entry is evicted once the cache is full
+ */
+class LRUCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum number of entries kept
+     * @param {number} options.ttl - Default time to live in milliseconds (0 = never expires)
+     */
+    constructor({ maxEntries = 1000, ttl = 0 } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttl = ttl;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    /**
+     * Get a value and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined if missing/expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt !== null && Date.now() > entry.expiresAt) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Re-insert so the entry moves to the most recently used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries if needed
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds (defaults to the cache's ttl)
+     */
+    set(key, value, ttl = this.ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: ttl > 0 ? Date.now() + ttl : null
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Check if a live entry exists without changing its recency
+     * @param {string} key - Cache key
+     * @returns {boolean} True if the key is cached and not expired
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        return !!entry && (entry.expiresAt === null || Date.now() <= entry.expiresAt);
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {boolean} True if an entry was removed
+     */
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Current number of entries (including expired ones not yet pruned)
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Cache statistics
+     */
+    getStats() {
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,251 @@
+const db = require('./database.util');
+const logger = require('./logger.util');
+
+/**
+ * Ordered list of schema changes.
+ * Each migration runs once and is recorded in the SchemaMigrations table.
+ * Never edit a migration that has already shipped - append a new one instead.
+ */
+const migrations = [
+    {
+        id: '0001_create_tokens',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Tokens (
+                id INT NOT NULL AUTO_INCREMENT,
+                token VARCHAR(64) NOT NULL,
+                purpose VARCHAR(32) NOT NULL,
+                payload JSON NULL,
+                expires DATETIME NOT NULL,
+                singleUse BOOLEAN NOT NULL DEFAULT TRUE,
+                usedAt DATETIME NULL,
+                User_id INT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY tokens_token_unique (token),
+                KEY tokens_expires_index (expires),
+                KEY tokens_user_index (User_id)
+            )`
+        ]
+    },
+    {
+        id: '0002_session_devices',
+        statements: [
+            `ALTER TABLE Sessions
+                ADD COLUMN name VARCHAR(64) NULL,
+                ADD COLUMN createdAt DATETIME NULL,
+                ADD COLUMN lastSeen DATETIME NULL,
+                ADD COLUMN ip VARCHAR(45) NULL,
+                ADD COLUMN userAgent VARCHAR(255) NULL`
+        ]
+    },
+    {
+        // Tokens are now stored as SHA-256 hashes. Hashing the existing ones keeps current sessions and emailed links working.
+        id: '0003_hash_tokens',
+        statements: [
+            'ALTER TABLE Sessions MODIFY COLUMN token VARCHAR(64) NOT NULL',
+            'UPDATE Sessions SET token = SHA2(token, 256)',
+            'UPDATE Tokens SET token = SHA2(token, 256)'
+        ]
+    },
+    {
+        id: '0004_two_factor',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS TwoFactor (
+                User_id INT NOT NULL,
+                secret VARCHAR(64) NOT NULL,
+                enabled BOOLEAN NOT NULL DEFAULT FALSE,
+                lastUsedStep BIGINT NULL,
+                createdAt DATETIME NOT NULL,
+                confirmedAt DATETIME NULL,
+                PRIMARY KEY (User_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS RecoveryCodes (
+                id INT NOT NULL AUTO_INCREMENT,
+                User_id INT NOT NULL,
+                code VARCHAR(64) NOT NULL,
+                usedAt DATETIME NULL,
+                PRIMARY KEY (id),
+                KEY recovery_codes_user_index (User_id)
+            )`
+        ]
+    },
+    {
+        id: '0005_login_attempts',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS LoginAttempts (
+                attemptKey VARCHAR(191) NOT NULL,
+                failures INT NOT NULL DEFAULT 0,
+                firstFailure DATETIME(3) NOT NULL,
+                lastFailure DATETIME(3) NOT NULL,
+                lockedUntil DATETIME(3) NULL,
+                PRIMARY KEY (attemptKey),
+                KEY login_attempts_last_failure_index (lastFailure)
+            )`
+        ]
+    },
+    {
+        id: '0006_ai_quotas',
+        statements: [
+            `ALTER TABLE Users ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'user'`,
+            `CREATE TABLE IF NOT EXISTS AIQuotas (
+                User_id INT NOT NULL,
+                dailyRequests INT NULL,
+                monthlyRequests INT NULL,
+                dailyTokens INT NULL,
+                monthlyTokens INT NULL,
+                updatedAt DATETIME NOT NULL,
+                PRIMARY KEY (User_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS AIUsage (
+                User_id INT NOT NULL,
+                period VARCHAR(10) NOT NULL,
+                requests INT NOT NULL DEFAULT 0,
+                tokens INT NOT NULL DEFAULT 0,
+                PRIMARY KEY (User_id, period)
+            )`
+        ]
+    },
+    {
+        id: '0007_chat_threads',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS ChatThreads (
+                id INT NOT NULL AUTO_INCREMENT,
+                User_id INT NOT NULL,
+                title VARCHAR(100) NULL,
+                createdAt DATETIME NOT NULL,
+                updatedAt DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                KEY chat_threads_user_index (User_id, updatedAt)
+            )`,
+            `CREATE TABLE IF NOT EXISTS ChatMessages (
+                id INT NOT NULL AUTO_INCREMENT,
+                Thread_id INT NOT NULL,
+                sender VARCHAR(8) NOT NULL,
+                text MEDIUMTEXT NOT NULL,
+                createdAt DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                KEY chat_messages_thread_index (Thread_id, id)
+            )`
+        ]
+    },
+    {
+        id: '0008_profile_revisions',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS ProfileRevisions (
+                id INT NOT NULL AUTO_INCREMENT,
+                User_id INT NOT NULL,
+                source VARCHAR(16) NOT NULL,
+                displayName VARCHAR(255) NULL,
+                components MEDIUMTEXT NULL,
+                sociallinks TEXT NULL,
+                profileDesign TEXT NULL,
+                createdAt DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                KEY profile_revisions_user_index (User_id, id)
+            )`
+        ]
+    },
+    {
+        id: '0009_profile_drafts',
+        statements: [
+            `ALTER TABLE Users ADD COLUMN draftComponents MEDIUMTEXT NULL`,
+            `ALTER TABLE Users ADD COLUMN draftProfileDesign TEXT NULL`
+        ]
+    },
+    {
+        id: '0010_files',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS Files (
+                id INT NOT NULL AUTO_INCREMENT,
+                User_id INT NOT NULL,
+                filename VARCHAR(64) NOT NULL,
+                originalName VARCHAR(255) NULL,
+                contentType VARCHAR(100) NOT NULL,
+                size INT NOT NULL,
+                createdAt DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY files_filename_index (filename),
+                KEY files_user_index (User_id)
+            )`
+        ]
+    },
+    {
+        id: '0011_file_display_names',
+        statements: [
+            `ALTER TABLE Files ADD COLUMN displayName VARCHAR(255) NULL`
+        ]
+    },
+    {
+        id: '0012_storage_usage',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS StorageUsage (
+                User_id INT NOT NULL,
+                files INT NOT NULL DEFAULT 0,
+                bytes BIGINT NOT NULL DEFAULT 0,
+                PRIMARY KEY (User_id)
+            )`,
+            // Files indexed so far count towards the quotas too
+            `INSERT IGNORE INTO StorageUsage (User_id, files, bytes)
+                SELECT User_id, COUNT(*), SUM(size) FROM Files GROUP BY User_id`
+        ]
+    }
+];
+
+/**
+ * Migration runner - Applies pending schema migrations at startup
+ */
+class MigrationRunner {
+    constructor() {
+        this.migrations = migrations;
+    }
+
+    /**
+     * Get the ids of every migration that has already been applied
+     * @returns {Promise<Set<string>>} Applied migration ids
+     * @private
+     */
+    async getAppliedMigrations() {
+        await db.query(`CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            id VARCHAR(128) NOT NULL,
+            appliedAt DATETIME NOT NULL,
+            PRIMARY KEY (id)
+        )`);
+
+        const [rows] = await db.query('SELECT id FROM SchemaMigrations');
+        return new Set(rows.map(row => row.id));
+    }
+
+    /**
+     * Apply every pending migration in order
+     * @returns {Promise<Object>} Result with the list of applied migration ids
+     */
+    async run() {
+        const applied = await this.getAppliedMigrations();
+        const pending = this.migrations.filter(migration => !applied.has(migration.id));
+
+        if (pending.length === 0) {
+            logger.info('Database schema is up to date');
+            return { applied: [] };
+        }
+
+        for (const migration of pending) {
+            logger.info('Applying database migration', { migration: migration.id });
+
+            for (const statement of migration.statements) {
+                await db.query(statement);
+            }
+
+            await db.execute('INSERT INTO SchemaMigrations (id, appliedAt) VALUES (?, ?)', [migration.id, new Date()]);
+        }
+
+        logger.info('Database migrations applied', {
+            applied: pending.map(migration => migration.id)
+        });
+
+        return { applied: pending.map(migration => migration.id) };
+    }
+}
+
+// Create singleton instance
+const migrationRunner = new MigrationRunner();
+
+module.exports = migrationRunner;
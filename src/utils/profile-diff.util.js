@@ -0,0 +1,89 @@
+/**
+ * Profile Diff Utility
+ * Field by field differences between two versions of a profile
+ */
+
+/**
+ * Compare two JSON values, ignoring the order of object keys
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether both values are the same
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Diff two objects key by key
+ * @param {Object|null} from - Old object
+ * @param {Object|null} to - New object
+ * @returns {Array<Object>} [{ key, from, to }] for each key that was added, removed or changed
+ */
+function diffObjects(from, to) {
+    from = from || {};
+    to = to || {};
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    return keys
+        .filter(key => !isEqual(from[key] ?? null, to[key] ?? null))
+        .map(key => ({ key, from: from[key] ?? null, to: to[key] ?? null }));
+}
+
+/**
+ * Diff two component lists position by position
+ * @param {Array<Object>|null} from - Old components
+ * @param {Array<Object>|null} to - New components
+ * @returns {Array<Object>} [{ index, change: 'added'|'removed'|'changed', from, to }]
+ */
+function diffComponents(from, to) {
+    from = from || [];
+    to = to || [];
+    const changes = [];
+
+    for (let index = 0; index < Math.max(from.length, to.length); index++) {
+        if (index >= from.length) {
+            changes.push({ index, change: 'added', from: null, to: to[index] });
+        } else if (index >= to.length) {
+            changes.push({ index, change: 'removed', from: from[index], to: null });
+        } else if (!isEqual(from[index], to[index])) {
+            changes.push({ index, change: 'changed', from: from[index], to: to[index] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Diff two versions of a profile
+ * @param {Object} from - Old profile ({ displayName, components, sociallinks, profileDesign }, parsed)
+ * @param {Object} to - New profile, in the same shape
+ * @returns {Object} { changed, displayName: { from, to }|null, components, sociallinks, profileDesign }
+ */
+function diffProfiles(from, to) {
+    const diff = {
+        displayName: from.displayName === to.displayName ? null : { from: from.displayName, to: to.displayName },
+        components: diffComponents(from.components, to.components),
+        sociallinks: diffObjects(from.sociallinks, to.sociallinks),
+        profileDesign: diffObjects(from.profileDesign, to.profileDesign)
+    };
+
+    return {
+        changed: diff.displayName !== null || diff.components.length > 0 || diff.sociallinks.length > 0 || diff.profileDesign.length > 0,
+        ...diff
+    };
+}
+
+module.exports = {
+    isEqual,
+    diffProfiles
+};
@@ -0,0 +1,117 @@
+/**
+ * Profile Prompt Utility
+ * Describes a user's current profile for AI prompts, within a token budget. Components are given ids, so the model
+ * can keep one unchanged by referencing it ({ "ref": "c1" }) instead of repeating it, and references are expanded
+ * back into the stored component, byte for byte.
+ */
+
+// Longest strings kept at each compression level, before the contents are left out altogether
+const TRUNCATION_LEVELS = [Infinity, 300, 80];
+
+/**
+ * Estimate how many tokens a text takes, at about four characters per token
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Shorten every string in a value
+ * @param {*} value - Value to shorten
+ * @param {number} maxLength - Longest string kept as it is
+ * @returns {Object} { value, truncated }
+ */
+function truncateStrings(value, maxLength) {
+    if (typeof value === 'string') {
+        return value.length > maxLength
+            ? { value: value.substring(0, maxLength) + '…', truncated: true }
+            : { value, truncated: false };
+    }
+    if (value && typeof value === 'object') {
+        let truncated = false;
+        const entries = Object.entries(value).map(([key, item]) => {
+            const result = truncateStrings(item, maxLength);
+            truncated = truncated || result.truncated;
+            return [key, result.value];
+        });
+        return { value: Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries), truncated };
+    }
+    return { value, truncated: false };
+}
+
+/**
+ * Describe a profile for a prompt, compressing it until it fits the budget
+ * @param {Object} profile - { components, sociallinks, profileDesign }, parsed
+ * @param {Object} options - Description options
+ * @param {number} options.tokenBudget - Tokens the description may take
+ * @returns {Object} { text, references: Map(id -> component), tokens, compressed }
+ */
+function describeProfile({ components, sociallinks, profileDesign }, { tokenBudget = 1200 } = {}) {
+    const list = Array.isArray(components) ? components : [];
+    const references = new Map(list.map((component, i) => [`c${i + 1}`, component]));
+    // Unset social networks only take up space
+    const links = Object.fromEntries(Object.entries(sociallinks || {}).filter(([, value]) => value));
+
+    let description;
+    for (const maxLength of TRUNCATION_LEVELS) {
+        const described = list.map((component, i) => {
+            const { value, truncated } = truncateStrings(component?.content, maxLength);
+            return { id: `c${i + 1}`, type: component?.type, content: value, ...(truncated ? { truncated: true } : {}) };
+        });
+        description = JSON.stringify({ components: described, sociallinks: links, profileDesign: profileDesign || null });
+        if (estimateTokens(description) <= tokenBudget) {
+            break;
+        }
+    }
+
+    if (estimateTokens(description) > tokenBudget) {
+        // Only what there is, which the model can still reference
+        description = JSON.stringify({
+            components: list.map((component, i) => ({ id: `c${i + 1}`, type: component?.type, truncated: true })),
+            sociallinks: Object.keys(links),
+            profileDesign: profileDesign || null
+        });
+    }
+
+    const compressed = description.includes('"truncated":true');
+    const text = 'Current profile. To keep a component exactly as it is, write {"ref": "<id>"} in its place instead of repeating it. ' +
+        (compressed ? 'Components marked truncated are shortened here, so reference them unless asked to change them. ' : '') +
+        description;
+
+    return { text, references, tokens: estimateTokens(text), compressed };
+}
+
+/**
+ * Replace component references in an alternative with the components they point to
+ * @param {Object} alternative - Alternative ({ components, profileDesign }) from the model
+ * @param {Map} references - Component ids, from describeProfile
+ * @returns {Object} { alternative, unknown: ids referenced that don't exist }
+ */
+function expandReferences(alternative, references) {
+    if (!alternative || !Array.isArray(alternative.components)) {
+        return { alternative, unknown: [] };
+    }
+
+    const unknown = [];
+    const components = alternative.components.flatMap(component => {
+        if (!component || typeof component.ref !== 'string') {
+            return [component];
+        }
+        if (!references.has(component.ref)) {
+            unknown.push(component.ref);
+            return [];
+        }
+        // A copy, so later repairs to the response can't change the stored component
+        return [JSON.parse(JSON.stringify(references.get(component.ref)))];
+    });
+
+    return { alternative: { ...alternative, components }, unknown };
+}
+
+module.exports = {
+    estimateTokens,
+    describeProfile,
+    expandReferences
+};
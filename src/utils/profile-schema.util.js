@@ -0,0 +1,304 @@
+const { validate, repair } = require('./schema.util');
+
+/**
+ * Profile Schema
+ * The shape of profile components, sociallinks and profileDesign, shared by AI generated designs and profile updates
+ */
+
+const MAX_COMPONENTS = 5;
+const MAX_LINKS = 5;
+
+// Networks that can be added to a profile's sociallinks, by key
+const SOCIAL_NETWORKS = ['steam', 'itunes', 'bitcoin', 'ethereum', 'discord', 'tiktok', 'website', 'cashapp', 'spotify',
+    'instagram', 'twitter', 'facebook', 'github', 'twitch', 'youtube', 'linkedin'];
+
+// Markdown is rendered as HTML, so raw HTML isn't allowed in it at all, and links may only use these schemes
+const MARKDOWN_LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+// Autolinks (<https://...>) are markdown rather than HTML, as long as they use an allowed scheme
+const MARKDOWN_AUTOLINK = /<(https?|mailto):[^\s<>]*>/gi;
+// Anything else that opens a tag, comment, declaration or processing instruction
+const MARKDOWN_HTML = /<[a-z/!?]/i;
+// Link and image destinations: inline [text](url) and reference definitions [label]: url
+const MARKDOWN_LINK_DESTINATIONS = [
+    /\]\(\s*<?([^\s<>)]*)/g,
+    /^ {0,3}\[[^\]]+\]:\s*<?([^\s<>]*)/gm
+];
+
+// Named character references that can hide a scheme from a plain text check. The others stand for characters that
+// can't appear in a scheme, so they can't turn a link into a script link.
+const NAMED_ENTITIES = { colon: ':', tab: '\t', newline: '\n', amp: '&' };
+
+/**
+ * Decode a link destination the way a markdown renderer does before putting it in an href
+ * @param {string} destination - Destination as written
+ * @returns {string} Decoded destination
+ */
+function decodeLinkDestination(destination) {
+    return destination
+        // Backslash escapes of punctuation
+        .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+        .replace(/&(#x[0-9a-f]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]*);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+            }
+            return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        });
+}
+
+/**
+ * Check that a link destination is relative or uses an allowed scheme
+ * @param {string} destination - Destination as written
+ * @returns {boolean} Whether it's safe to link to
+ */
+function isSafeLinkDestination(destination) {
+    // Browsers ignore whitespace and control characters in a URL's scheme
+    const url = decodeLinkDestination(destination).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/);
+    return !scheme || MARKDOWN_LINK_SCHEMES.includes(scheme[1]);
+}
+
+/**
+ * Check markdown for raw HTML and for links that aren't web or mail links
+ * @param {string} value - Markdown
+ * @returns {string|null} Error message, or null if it's safe
+ */
+function checkMarkdown(value) {
+    if (MARKDOWN_HTML.test(value.replace(MARKDOWN_AUTOLINK, ''))) {
+        return 'must not contain HTML';
+    }
+    for (const pattern of MARKDOWN_LINK_DESTINATIONS) {
+        for (const match of value.matchAll(pattern)) {
+            if (!isSafeLinkDestination(match[1])) {
+                return `must only link to ${MARKDOWN_LINK_SCHEMES.join(', ')} or relative URLs`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Pull an id out of a URL when a whole link was given instead of just the id
+ * @param {RegExp} pattern - Pattern with the id as its first group
+ * @returns {Function} Coerce function for a schema
+ */
+function idFromURL(pattern) {
+    return value => {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        const match = value.trim().match(pattern);
+        return match ? match[1] : value.trim();
+    };
+}
+
+const GENERIC_SCHEMA = {
+    type: 'object',
+    required: ['type', 'content'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['generic'] },
+        content: {
+            type: 'object',
+            required: ['title', 'description'],
+            additionalProperties: false,
+            properties: {
+                // A blank title hides it
+                title: { type: 'string', maxLength: 100, default: '' },
+                // Markdown
+                description: { type: 'string', maxLength: 5000, check: checkMarkdown }
+            }
+        }
+    }
+};
+
+const LINK_SCHEMA = {
+    type: 'object',
+    required: ['url'],
+    additionalProperties: false,
+    properties: {
+        url: { type: 'string', minLength: 1, maxLength: 2048, format: 'url' },
+        // Icons are files uploaded to rar.vg, left empty for the user to fill in
+        icon: { type: ['string', 'null'], maxLength: 2048, format: 'link', default: null },
+        // A blank title shows the URL itself
+        title: { type: 'string', maxLength: 100, default: '' }
+    }
+};
+
+const LINKLIST_SCHEMA = {
+    type: 'object',
+    required: ['type', 'content'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['linklist'] },
+        content: {
+            type: 'object',
+            required: ['links', 'vertical'],
+            additionalProperties: false,
+            properties: {
+                links: { type: 'array', maxItems: MAX_LINKS, items: LINK_SCHEMA },
+                // true for a vertical list, false for a grid of icons
+                vertical: { type: 'boolean', default: true }
+            }
+        }
+    }
+};
+
+const SPOTIFY_SCHEMA = {
+    type: 'object',
+    required: ['type', 'content'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['spotify'] },
+        // Playlist id
+        content: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9]{22}$',
+            patternMessage: 'must be a Spotify playlist id',
+            coerce: idFromURL(/open\.spotify\.com\/(?:[\w-]+\/)?playlist\/([A-Za-z0-9]{22})/)
+        }
+    }
+};
+
+const YOUTUBE_SCHEMA = {
+    type: 'object',
+    required: ['type', 'content'],
+    additionalProperties: false,
+    properties: {
+        type: { type: 'string', enum: ['youtube'] },
+        // Video id
+        content: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9_-]{11}$',
+            patternMessage: 'must be a YouTube video id',
+            coerce: idFromURL(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([A-Za-z0-9_-]{11})/)
+        }
+    }
+};
+
+const COMPONENT_SCHEMA = {
+    type: 'object',
+    discriminator: {
+        propertyName: 'type',
+        mapping: {
+            generic: GENERIC_SCHEMA,
+            linklist: LINKLIST_SCHEMA,
+            spotify: SPOTIFY_SCHEMA,
+            youtube: YOUTUBE_SCHEMA
+        }
+    }
+};
+
+const COMPONENTS_SCHEMA = {
+    type: 'array',
+    maxItems: MAX_COMPONENTS,
+    items: COMPONENT_SCHEMA
+};
+
+const PROFILE_DESIGN_SCHEMA = {
+    type: 'object',
+    required: ['colour', 'design'],
+    additionalProperties: false,
+    properties: {
+        // 0 dark, 1 orange, 2 light, 3 green, 4 blue, 5 purple, 6 yellow, 7 chocolate-mint, 8 chocolate-cherry, 9 cream, 10 gruvbox, 11 terracota
+        colour: { type: 'integer', enum: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], default: 0 },
+        // 1 centered, 2 compact, 3 bento
+        design: { type: 'integer', enum: [1, 2, 3], default: 1 },
+        font: { type: 'string', enum: ['default', 'serif', 'mono'], default: 'default' },
+        borderRadius: { type: 'integer', minimum: 0, maximum: 40, default: 8 }
+    }
+};
+
+const SOCIALLINKS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, {
+        type: ['string', 'null'],
+        maxLength: 256,
+        // Usernames and wallet addresses are fine, only URLs are checked
+        format: network === 'website' ? 'url' : 'link'
+    }]))
+};
+
+const DISPLAY_NAME_SCHEMA = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    pattern: '\\S',
+    patternMessage: 'must not be blank'
+};
+
+const DEFAULT_PROFILE_DESIGN = { colour: 0, design: 1, font: 'default', borderRadius: 8 };
+
+// One of the designs the AI suggests
+const ALTERNATIVE_SCHEMA = {
+    type: 'object',
+    required: ['components', 'profileDesign'],
+    additionalProperties: false,
+    properties: {
+        components: { ...COMPONENTS_SCHEMA, default: [] },
+        profileDesign: { ...PROFILE_DESIGN_SCHEMA, default: DEFAULT_PROFILE_DESIGN },
+        // Summary of the changes, shown to the user
+        message: { type: 'string', maxLength: 1000 }
+    }
+};
+
+/**
+ * Validate a design alternative
+ * @param {Object} alternative - Alternative ({ components, profileDesign })
+ * @param {string} path - Path used in error messages (e.g. 'a1')
+ * @returns {Array<Object>} Errors as { path, message }
+ */
+function validateAlternative(alternative, path = '') {
+    return validate(ALTERNATIVE_SCHEMA, alternative, path);
+}
+
+/**
+ * Validate the editable parts of a profile. Fields left undefined aren't checked.
+ * @param {Object} profile - { displayName, components, sociallinks, profileDesign }
+ * @returns {Array<Object>} Errors as { field, message }, e.g. { field: 'components[1].content.links[0].url', ... }
+ */
+function validateProfile({ displayName, components, sociallinks, profileDesign }) {
+    const fields = [
+        ['displayName', DISPLAY_NAME_SCHEMA, displayName],
+        ['components', COMPONENTS_SCHEMA, components],
+        ['sociallinks', SOCIALLINKS_SCHEMA, sociallinks],
+        ['profileDesign', PROFILE_DESIGN_SCHEMA, profileDesign]
+    ];
+
+    const errors = [];
+    for (const [field, schema, value] of fields) {
+        if (value !== undefined) {
+            errors.push(...validate(schema, value, field));
+        }
+    }
+    return errors.map(error => ({ field: error.path, message: error.message }));
+}
+
+/**
+ * Repair a design alternative: invalid components are fixed where possible and dropped otherwise,
+ * and invalid design values fall back to their defaults
+ * @param {Object} alternative - Alternative ({ components, profileDesign })
+ * @returns {Object} Repaired alternative
+ */
+function repairAlternative(alternative) {
+    const result = repair(ALTERNATIVE_SCHEMA, alternative);
+    return result.valid ? result.value : { components: [], profileDesign: { ...DEFAULT_PROFILE_DESIGN } };
+}
+
+module.exports = {
+    MAX_COMPONENTS,
+    MAX_LINKS,
+    SOCIAL_NETWORKS,
+    COMPONENT_SCHEMA,
+    COMPONENTS_SCHEMA,
+    PROFILE_DESIGN_SCHEMA,
+    SOCIALLINKS_SCHEMA,
+    DISPLAY_NAME_SCHEMA,
+    ALTERNATIVE_SCHEMA,
+    DEFAULT_PROFILE_DESIGN,
+    validateAlternative,
+    validateProfile,
+    repairAlternative
+};
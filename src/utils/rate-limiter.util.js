@@ -0,0 +1,230 @@
+const config = require('./config.util');
+const logger = require('./logger.util');
+const jwt = require('./jwt.util');
+const LRUCache = require('./lru-cache.util');
+const { hashToken } = require('./token.util');
+
+/**
+ * Default policies. The first policy whose paths match a request applies, otherwise 'default' does.
+ * - capacity: burst size (tokens in a full bucket)
+ * - refillPerMinute: tokens added back per minute
+ * - key: 'ip', 'user' (valid access token, else IP) or 'apiKey' (known API key, else IP)
+ * - paths: path prefixes the policy applies to
+ * RATE_LIMIT_POLICIES can override any field of these by name, or add new policies.
+ */
+const DEFAULT_POLICIES = [
+    {
+        name: 'ai',
+        paths: ['/ai/'],
+        capacity: 10,
+        refillPerMinute: 5,
+        key: 'user'
+    },
+    {
+        name: 'auth',
+        paths: ['/login', '/register', '/request-password-change', '/verify-password-token', '/update-password', '/verify-deletion-token', '/delete-account', '/verify', '/token/refresh'],
+        capacity: 20,
+        refillPerMinute: 10,
+        key: 'ip'
+    },
+    {
+        name: 'upload',
+        paths: ['/files/upload'],
+        capacity: 20,
+        refillPerMinute: 10,
+        key: 'user'
+    },
+    {
+        name: 'default',
+        paths: [],
+        capacity: 120,
+        refillPerMinute: 120,
+        key: 'ip'
+    }
+];
+
+/**
+ * Token bucket - Allows bursts up to its capacity, then a steady refill rate
+ */
+class TokenBucket {
+    /**
+     * @param {number} capacity - Maximum number of tokens
+     * @param {number} refillPerMinute - Tokens added back per minute
+     */
+    constructor(capacity, refillPerMinute) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMinute / 60000;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take tokens from the bucket if there are enough
+     * @param {number} cost - Tokens to take (default: 1)
+     * @returns {Object} { allowed, remaining, resetMs (until full), retryAfterMs (until allowed) }
+     */
+    consume(cost = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+
+        const allowed = this.tokens >= cost;
+        if (allowed) {
+            this.tokens -= cost;
+        }
+
+        return {
+            allowed,
+            remaining: Math.floor(this.tokens),
+            resetMs: (this.capacity - this.tokens) / this.refillPerMs,
+            retryAfterMs: allowed ? 0 : (cost - this.tokens) / this.refillPerMs
+        };
+    }
+}
+
+/**
+ * Rate Limiter - Express middleware applying token bucket policies per route
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {Array<Object>} options.policies - Policies (defaults merged with RATE_LIMIT_POLICIES)
+     * @param {number} options.maxBuckets - Maximum number of buckets tracked per policy
+     */
+    constructor({ policies = RateLimiter.loadPolicies(), maxBuckets = 50000 } = {}) {
+        this.enabled = config('RATE_LIMIT_ENABLED') !== false && config('RATE_LIMIT_ENABLED') !== 'false';
+        this.apiKeys = new Set(String(config('API_KEYS') || '').split(',').map(key => key.trim()).filter(Boolean));
+
+        this.policies = policies;
+        this.defaultPolicy = policies.find(policy => policy.name === 'default') || DEFAULT_POLICIES[DEFAULT_POLICIES.length - 1];
+
+        // A bucket left alone until it is full again is no different from a new one, so it can be dropped
+        this.buckets = new Map(policies.map(policy => [policy.name, new LRUCache({
+            maxEntries: maxBuckets,
+            ttl: Math.ceil(policy.capacity / policy.refillPerMinute * 60000)
+        })]));
+    }
+
+    /**
+     * Merge the default policies with the overrides from configuration
+     * @returns {Array<Object>} Policies
+     */
+    static loadPolicies() {
+        let overrides = config('RATE_LIMIT_POLICIES') || [];
+        if (typeof overrides === 'string') {
+            try {
+                overrides = JSON.parse(overrides);
+            } catch (error) {
+                logger.warn('Invalid RATE_LIMIT_POLICIES, using the default policies', { error: error.message });
+                overrides = [];
+            }
+        }
+        if (!Array.isArray(overrides)) {
+            logger.warn('RATE_LIMIT_POLICIES must be an array of policies, using the default policies');
+            overrides = [];
+        }
+        // Overrides without a name can't match or add a policy
+        overrides = overrides.filter(override => override && typeof override === 'object' && typeof override.name === 'string');
+
+        const policies = DEFAULT_POLICIES.map(policy => ({
+            ...policy,
+            ...(overrides.find(override => override.name === policy.name) || {})
+        }));
+        const added = overrides.filter(override => !DEFAULT_POLICIES.some(policy => policy.name === override.name));
+
+        // Added policies are checked before 'default', which must stay last
+        return [...policies.slice(0, -1), ...added, policies[policies.length - 1]];
+    }
+
+    /**
+     * Find the policy for a request path
+     * @param {string} path - Request path
+     * @returns {Object} Policy
+     */
+    policyFor(path) {
+        return this.policies.find(policy =>
+            policy.name !== 'default' && (policy.paths || []).some(prefix => path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : prefix + '/'))
+        ) || this.defaultPolicy;
+    }
+
+    /**
+     * Get the identity a request is limited by
+     * @param {Object} req - Express request object
+     * @param {Object} policy - Policy being applied
+     * @returns {string} Bucket key
+     */
+    keyFor(req, policy) {
+        if (policy.key === 'apiKey') {
+            const apiKey = req.get('X-API-Key');
+            if (apiKey && this.apiKeys.has(apiKey)) {
+                return 'apiKey:' + hashToken(apiKey).substring(0, 16);
+            }
+        }
+
+        if (policy.key === 'user') {
+            // Only signed access tokens identify a user here; anything else would need a database lookup
+            const authorization = req.get('Authorization') || '';
+            const claims = authorization.startsWith('Bearer ')
+                ? jwt.verify(authorization.substring(7).trim(), config('JWT_SECRET'))
+                : null;
+            if (claims) {
+                return 'user:' + claims.sub;
+            }
+        }
+
+        return 'ip:' + req.ip;
+    }
+
+    /**
+     * Take a token for a request
+     * @param {Object} req - Express request object
+     * @returns {Object} Policy, key and bucket result
+     */
+    consume(req) {
+        const policy = this.policyFor(req.path);
+        const key = this.keyFor(req, policy);
+        const buckets = this.buckets.get(policy.name);
+
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(policy.capacity, policy.refillPerMinute);
+        }
+        const result = bucket.consume();
+        // Re-set so the bucket's expiry restarts from its latest use
+        buckets.set(key, bucket);
+
+        return { policy, key, result };
+    }
+
+    /**
+     * Create the Express middleware
+     * @returns {Function} Middleware
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled || req.method === 'OPTIONS') {
+                return next();
+            }
+
+            const { policy, key, result } = this.consume(req);
+
+            res.set({
+                'RateLimit-Policy': `${policy.capacity};w=${Math.round(policy.capacity / policy.refillPerMinute * 60)}`,
+                'RateLimit-Limit': String(policy.capacity),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+            });
+
+            logger.logRateLimit(policy.name, key, result.allowed, { path: req.path });
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+                return res.status(429).send('Too many requests. Slow down and try again later.');
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = RateLimiter;
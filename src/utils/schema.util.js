@@ -0,0 +1,282 @@
+/**
+ * Schema Utility
+ * Validates and repairs values against a small subset of JSON Schema:
+ * type, enum, pattern, format (see FORMATS), minLength/maxLength, minimum/maximum, items/maxItems,
+ * properties/required/additionalProperties and default, plus three extensions:
+ * - discriminator: { propertyName, mapping } picks the schema of an object by one of its properties
+ * - coerce: function turning a near-miss value into a valid one before it's repaired (e.g. a URL into an id)
+ * - check: function returning an error message for a value, or null if it's fine
+ */
+
+const URL_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Get the JSON type of a value, telling integers, arrays and null apart
+ * @param {*} value - Value to describe
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Check a value's type against a schema's 'type', which may be a list
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the type matches
+ */
+function matchesType(schema, value) {
+    if (!schema.type) {
+        return true;
+    }
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = typeOf(value);
+    return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+/**
+ * Check whether a string is an absolute URL with an allowed protocol
+ * @param {string} value - String to check
+ * @returns {boolean} Whether it's a valid URL
+ */
+function isURL(value) {
+    try {
+        return URL_PROTOCOLS.includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * String formats. Empty strings aren't checked, use minLength to require a value.
+ * - url: absolute http(s) URL
+ * - link: http(s) URL, or anything without a URL scheme (a username, an address, a file name...)
+ */
+const FORMATS = {
+    url: {
+        test: isURL,
+        message: 'must be a valid http or https URL'
+    },
+    link: {
+        test: value => !/^\s*[a-z][a-z0-9+.-]*:/i.test(value) || isURL(value.trim()),
+        message: 'must be a name or an http or https URL'
+    }
+};
+
+function join(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve the schema a discriminator points to
+ * @param {Object} schema - Schema with a discriminator
+ * @param {*} value - Object being checked
+ * @returns {Object|null} Mapped schema, or null if the discriminating value is unknown
+ */
+function resolveDiscriminator(schema, value) {
+    const { propertyName, mapping } = schema.discriminator;
+    const key = value && typeof value === 'object' ? value[propertyName] : undefined;
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : null;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages (default: root)
+ * @returns {Array<Object>} Errors as { path, message }, empty if the value is valid
+ */
+function validate(schema, value, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path: path || '(root)', message });
+
+    if (!matchesType(schema, value)) {
+        fail(`must be of type ${[].concat(schema.type).join(' or ')}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.patternMessage || `must match ${schema.pattern}`);
+        }
+        if (schema.format && value !== '' && !FORMATS[schema.format].test(value)) {
+            fail(FORMATS[schema.format].message);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (schema.check) {
+        const message = schema.check(value);
+        if (message) {
+            fail(message);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, join(path, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        if (schema.discriminator) {
+            const mapped = resolveDiscriminator(schema, value);
+            if (!mapped) {
+                errors.push({
+                    path: join(path, schema.discriminator.propertyName),
+                    message: `must be one of ${Object.keys(schema.discriminator.mapping).map(key => JSON.stringify(key)).join(', ')}`
+                });
+                return errors;
+            }
+            return errors.concat(validate(mapped, value, path));
+        }
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: join(path, key), message: 'is required' });
+            }
+        }
+        const properties = schema.properties || {};
+        for (const key of Object.keys(value)) {
+            if (properties[key]) {
+                if (value[key] !== undefined) {
+                    errors.push(...validate(properties[key], value[key], join(path, key)));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: join(path, key), message: 'is not allowed' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Repair a value so it satisfies a schema, where that can be done without guessing:
+ * strings are truncated, numbers rounded and clamped, arrays cut down to size with invalid items dropped,
+ * unknown properties removed, and anything else invalid replaced by the schema's default
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to repair (not modified)
+ * @returns {Object} { valid, value } - valid is false if the value couldn't be repaired
+ */
+function repair(schema, value) {
+    const invalid = () => schema.default !== undefined
+        ? { valid: true, value: JSON.parse(JSON.stringify(schema.default)) }
+        : { valid: false, value: undefined };
+
+    if (schema.coerce) {
+        value = schema.coerce(value);
+    }
+
+    // Numbers sent as strings are common in model output
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value) && [].concat(schema.type).some(type => type === 'integer' || type === 'number')) {
+        value = Number(value);
+    }
+
+    if (!matchesType(schema, value)) {
+        if (typeof value === 'number' && [].concat(schema.type).includes('integer')) {
+            value = Math.round(value);
+        } else {
+            return invalid();
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            value = value.substring(0, schema.maxLength);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            value = schema.minimum;
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            value = schema.maximum;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        let items = value;
+        if (schema.items) {
+            items = items.map(item => repair(schema.items, item)).filter(result => result.valid).map(result => result.value);
+        }
+        if (schema.maxItems !== undefined) {
+            items = items.slice(0, schema.maxItems);
+        }
+        value = items;
+    }
+
+    if (typeOf(value) === 'object') {
+        if (schema.discriminator) {
+            const mapped = resolveDiscriminator(schema, value);
+            return mapped ? repair(mapped, value) : invalid();
+        }
+
+        const properties = schema.properties || {};
+        const repaired = {};
+        for (const key of Object.keys(value)) {
+            if (!properties[key]) {
+                if (schema.additionalProperties !== false) {
+                    repaired[key] = value[key];
+                }
+                continue;
+            }
+            const result = repair(properties[key], value[key]);
+            if (result.valid) {
+                repaired[key] = result.value;
+            }
+        }
+        for (const key of schema.required || []) {
+            if (repaired[key] === undefined) {
+                const result = properties[key] && properties[key].default !== undefined ? repair(properties[key], undefined) : null;
+                if (!result || !result.valid) {
+                    return invalid();
+                }
+                repaired[key] = result.value;
+            }
+        }
+        value = repaired;
+    }
+
+    return validate(schema, value).length === 0 ? { valid: true, value } : invalid();
+}
+
+module.exports = {
+    validate,
+    repair,
+    isURL
+};
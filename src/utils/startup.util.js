@@ -2,6 +2,7 @@ const R2Config = require('./r2-config.util');
 const R2StorageService = require('../services/R2StorageService');
 const StorageManager = require('../services/StorageManager');
 const logger = require('./logger.util');
+const migrationRunner = require('./migrations.util');
 
 /**
  * Startup Utility - Handles application initialization and health checks
@@ -37,6 +38,11 @@ class StartupManager {
                 managerInitialized: false,
                 error: null
             },
+            database: {
+                migrated: false,
+                applied: [],
+                error: null
+            },
             timestamp: new Date().toISOString()
         };
 
@@ -57,10 +63,14 @@ class StartupManager {
             logger.info('Step 3: Initializing StorageManager...');
             await this.initializeStorageManager(initResult);
 
-            // Step 4: Log final status
+            // Step 4: Apply pending database migrations
+            logger.info('Step 4: Applying database migrations...');
+            await this.applyDatabaseMigrations(initResult);
+
+            // Step 5: Log final status
             this.logInitializationStatus(initResult);
 
-            // Step 5: Set up periodic health checks
+            // Step 6: Set up periodic health checks
             this.setupHealthChecks();
 
             initResult.success = true;
@@ -196,6 +206,31 @@ class StartupManager {
         }
     }
 
+    /**
+     * Apply pending database migrations
+     * @param {Object} initResult - Initialization result object to update
+     * @private
+     */
+    async applyDatabaseMigrations(initResult) {
+        try {
+            const result = await migrationRunner.run();
+
+            initResult.database.migrated = true;
+            initResult.database.applied = result.applied;
+
+        } catch (error) {
+            logger.error('Failed to apply database migrations', {
+                error: error.message,
+                errorType: 'database_migration_error'
+            });
+
+            initResult.database.error = error.message;
+
+            // Don't throw error here - the database may come up later
+            logger.warn('Continuing without applying database migrations');
+        }
+    }
+
     /**
      * Log comprehensive initialization status
      * @param {Object} initResult - Initialization result
@@ -221,6 +256,13 @@ class StartupManager {
             logger.info(`Error: ${initResult.storage.error}`);
         }
         
+        logger.info('--- Database Status ---');
+        logger.info(`Migrated: ${initResult.database.migrated}`);
+        logger.info(`Applied: ${initResult.database.applied.length > 0 ? initResult.database.applied.join(', ') : 'none'}`);
+        if (initResult.database.error) {
+            logger.info(`Error: ${initResult.database.error}`);
+        }
+        
         // Log effective storage configuration
         if (this.storageManager) {
             const status = this.storageManager.getStorageStatus();
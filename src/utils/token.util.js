@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+/**
+ * Token Utility
+ * Cryptographically secure random tokens and identifiers, plus hashing for tokens stored at rest
+ */
+
+// URL and filename safe characters, the alphabet tokens have always used
+const URL_SAFE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Generate a random string using a CSPRNG
+ * Characters are picked with crypto.randomInt, so every character of the alphabet is equally likely
+ * @param {number} length - Length of the string (default: 32)
+ * @param {string} alphabet - Characters to pick from (default: URL safe)
+ * @returns {string} Random string
+ */
+function generateToken(length = 32, alphabet = URL_SAFE_ALPHABET) {
+    if (!Number.isInteger(length) || length <= 0) {
+        throw new Error('Token length must be a positive integer');
+    }
+    if (!alphabet || alphabet.length < 2) {
+        throw new Error('Token alphabet must contain at least two characters');
+    }
+
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return result;
+}
+
+/**
+ * Generate a random string that isn't in use yet
+ * @param {Function} isTaken - Async predicate resolving to true if a candidate is already in use
+ * @param {Object} options - Generation options
+ * @param {number} options.length - Length of the string (default: 32)
+ * @param {string} options.alphabet - Characters to pick from (default: URL safe)
+ * @param {number} options.attempts - Candidates to try before giving up (default: 5)
+ * @returns {Promise<string>} Random string not reported as taken
+ */
+async function generateUniqueToken(isTaken, { length = 32, alphabet = URL_SAFE_ALPHABET, attempts = 5 } = {}) {
+    for (let i = 0; i < attempts; i++) {
+        const candidate = generateToken(length, alphabet);
+        if (!(await isTaken(candidate))) {
+            return candidate;
+        }
+    }
+
+    throw new Error(`Could not generate a unique token after ${attempts} attempts`);
+}
+
+/**
+ * Hash a token for storage, so a leaked database doesn't expose usable tokens
+ * Tokens are long and random, so a fast unsalted hash is enough and keeps lookups indexable
+ * @param {string} token - Token to hash
+ * @returns {string} Hex encoded SHA-256 digest (64 characters)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    URL_SAFE_ALPHABET,
+    generateToken,
+    generateUniqueToken,
+    hashToken
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238) built on HOTP (RFC 4226), plus the base32
+ * encoding and otpauth:// URIs authenticator apps use to import secrets
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+/**
+ * Generate a random secret
+ * @param {number} bytes - Secret size in bytes (default: 20, as recommended for SHA-1)
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {Object} options - HOTP options
+ * @param {number} options.digits - Code length (default: 6)
+ * @param {string} options.algorithm - 'sha1', 'sha256' or 'sha512' (default: 'sha1')
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter, { digits = 6, algorithm = 'sha1' } = {}) {
+    if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported TOTP algorithm: ${algorithm}`);
+    }
+
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac(algorithm, key).update(message).digest();
+    // Dynamic truncation
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = ((digest[offset] & 0x7f) << 24) |
+        (digest[offset + 1] << 16) |
+        (digest[offset + 2] << 8) |
+        digest[offset + 3];
+
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * Get the time step a timestamp falls in
+ * @param {number} time - Unix time in milliseconds (default: now)
+ * @param {number} step - Step length in seconds (default: 30)
+ * @returns {number} Time step counter
+ */
+function timeStep(time = Date.now(), step = 30) {
+    return Math.floor(time / 1000 / step);
+}
+
+/**
+ * Compute a TOTP value (RFC 6238)
+ * @param {Buffer|string} secret - Shared secret, as bytes or base32
+ * @param {Object} options - TOTP options
+ * @param {number} options.time - Unix time in milliseconds (default: now)
+ * @param {number} options.step - Step length in seconds (default: 30)
+ * @param {number} options.digits - Code length (default: 6)
+ * @param {string} options.algorithm - 'sha1', 'sha256' or 'sha512' (default: 'sha1')
+ * @returns {string} Zero-padded code
+ */
+function totp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = {}) {
+    const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+    return hotp(key, timeStep(time, step), { digits, algorithm });
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} code - Code entered by the user
+ * @param {Buffer|string} secret - Shared secret, as bytes or base32
+ * @param {Object} options - TOTP options, plus:
+ * @param {number} options.window - Steps accepted before and after the current one (default: 1)
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+function verify(code, secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1', window = 1 } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (normalized.length !== digits || !/^\d+$/.test(normalized)) {
+        return null;
+    }
+
+    const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+    const current = timeStep(time, step);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = Buffer.from(hotp(key, current + offset, { digits, algorithm }));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.label - Account name shown in the app
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {number} options.digits - Code length (default: 6)
+ * @param {number} options.step - Step length in seconds (default: 30)
+ * @param {string} options.algorithm - 'sha1', 'sha256' or 'sha512' (default: 'sha1')
+ * @returns {string} otpauth URI
+ */
+function otpauthURI({ secret, label, issuer, digits = 6, step = 30, algorithm = 'sha1' }) {
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: algorithm.toUpperCase(),
+        digits: String(digits),
+        period: String(step)
+    });
+
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    totp,
+    timeStep,
+    verify,
+    otpauthURI
+};
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AIController = require('../src/controllers/ai.controller');
+const AIResponseCache = require('../src/services/AIResponseCache');
+const LLMProviderChain = require('../src/services/LLMProviderChain');
+const LLMProvider = require('../src/services/LLMProvider');
+
+const design = { colour: 1, design: 1, font: 'default', borderRadius: 8 };
+const generic = description => ({ type: 'generic', content: { title: 'About', description } });
+
+// Keeps the profile's first component in every alternative, as a model does by referencing it
+class ReferencingProvider extends LLMProvider {
+    constructor() {
+        super({ name: 'referencing', maxRetries: 0 });
+        this.calls = 0;
+    }
+
+    async request() {
+        this.calls++;
+        const alternative = { components: [{ ref: 'c1' }], profileDesign: design };
+        return { status: 200, data: { choices: [{ message: { content: JSON.stringify({ a1: alternative, a2: alternative, a3: alternative }) } }] } };
+    }
+}
+
+test('cached responses are not shared between profiles that are only described alike', async () => {
+    const provider = new ReferencingProvider();
+    const controller = new AIController(new LLMProviderChain([provider]), new AIResponseCache({ maxEntries: 10 }));
+    // Profiles compressed to the same text, whose components differ in what was left out of it
+    const components = { 1: generic('Alice\n\nPhotographer'), 2: generic('Bob  Photographer') };
+    controller.loadProfileContext = async userId => ({ text: 'Profile: one About section', references: new Map([['c1', components[userId]]]) });
+
+    const responses = [];
+    for (const userId of [1, 2, 1]) {
+        const result = await controller.processAIChat('Make it blue', [], { userId });
+        responses.push(JSON.parse(result.content.response).a1.components[0].content.description);
+    }
+
+    assert.deepStrictEqual(responses, ['Alice\n\nPhotographer', 'Bob  Photographer', 'Alice\n\nPhotographer']);
+    assert.strictEqual(provider.calls, 2);
+});
+
+test('cache keys tell referenced components apart exactly', () => {
+    const key = description => AIResponseCache.key({ prompt: 'Hi', profile: 'Profile', references: new Map([['c1', generic(description)]]) });
+
+    assert.strictEqual(key('a b'), key('a b'));
+    assert.notStrictEqual(key('a b'), key('a  b'));
+    assert.notStrictEqual(AIResponseCache.key({ prompt: 'Hi', profile: 'Profile' }), key('a b'));
+});
@@ -0,0 +1,203 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const AIController = require('../src/controllers/ai.controller');
+const RouterController = require('../src/controllers/router.controller');
+const AIResponseCache = require('../src/services/AIResponseCache');
+const LLMProviderChain = require('../src/services/LLMProviderChain');
+const OpenAICompatibleProvider = require('../src/services/OpenAICompatibleProvider');
+const StubLLMProvider = require('../src/services/StubLLMProvider');
+const ChatThread = require('../src/models/chatthread.model');
+const ChatMessage = require('../src/models/chatmessage.model');
+
+const design = (colour, font) => ({ components: [], profileDesign: { colour, design: 1, font, borderRadius: 8 } });
+const COMPLETION = JSON.stringify({ a1: design(0, 'default'), a2: design(2, 'serif'), a3: design(1, 'mono') });
+
+// Mock OpenAI-compatible server. Streams COMPLETION in small chunks, or stalls after the first one when the
+// prompt asks it to, so the client has something to cancel. Like OpenAI, it only reports a stream's usage when asked to.
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const request = { body: JSON.parse(body), closed: false };
+            requests.push(request);
+            res.on('close', () => request.closed = true);
+
+            if (!request.body.stream) {
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ choices: [{ message: { content: COMPLETION } }] }));
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const chunks = COMPLETION.match(/.{1,16}/gs);
+            const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+            const stall = request.body.messages.some(message => message.content.includes('stall'));
+
+            let i = 0;
+            const next = () => {
+                if (res.destroyed) {
+                    return;
+                }
+                if (i < chunks.length && !(stall && i > 0)) {
+                    send({ choices: [{ delta: { content: chunks[i++] } }] });
+                    return setTimeout(next, 2);
+                }
+                if (!stall) {
+                    if (request.body.stream_options?.include_usage) {
+                        send({ choices: [], usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 } });
+                    }
+                    res.end('data: [DONE]\n\n');
+                }
+            };
+            next();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => server.close());
+
+const controllerFor = provider => new AIController(new LLMProviderChain([provider]), new AIResponseCache({ maxEntries: 0 }));
+const mockProvider = () => new OpenAICompatibleProvider({ baseUrl, model: 'mock', maxRetries: 0 });
+
+test('streamed completions are forwarded as they arrive and put back together', async () => {
+    const deltas = [];
+    const result = await controllerFor(mockProvider()).processAIChat('Make my profile blue', [], {
+        onDelta: text => deltas.push(text)
+    });
+
+    assert.strictEqual(result.status, 200);
+    assert.ok(deltas.length > 1);
+    assert.strictEqual(deltas.join(''), COMPLETION);
+    assert.deepStrictEqual(JSON.parse(result.content.response), JSON.parse(COMPLETION));
+    assert.deepStrictEqual(result.content.usage, { promptTokens: 100, completionTokens: 50, totalTokens: 150 });
+    assert.strictEqual(requests[requests.length - 1].body.stream, true);
+    assert.deepStrictEqual(requests[requests.length - 1].body.stream_options, { include_usage: true });
+});
+
+test('streams that stop sending time out, and close the upstream request', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'mock', maxRetries: 0, streamIdleTimeout: 50 });
+    const result = await controllerFor(provider).processAIChat('Please stall', [], { onDelta: () => {} });
+
+    assert.strictEqual(result.status, 503);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(requests[requests.length - 1].closed, true);
+});
+
+test('cancelling a stream closes the upstream request', async () => {
+    const controller = new AbortController();
+    const result = await controllerFor(mockProvider()).processAIChat('Please stall', [], {
+        signal: controller.signal,
+        onDelta: () => controller.abort()
+    });
+
+    assert.strictEqual(result.status, 499);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(requests[requests.length - 1].closed, true);
+});
+
+test('the stub provider answers deterministically, streamed or not', async () => {
+    const controller = controllerFor(new StubLLMProvider());
+    const deltas = [];
+    const streamed = await controller.processAIChat('A portfolio for a photographer', [], { onDelta: text => deltas.push(text) });
+    const whole = await controller.processAIChat('A portfolio for a photographer', []);
+    const other = await controller.processAIChat('A page for my band', []);
+
+    assert.strictEqual(streamed.status, 200);
+    assert.strictEqual(deltas.join(''), streamed.content.response);
+    assert.strictEqual(whole.content.response, streamed.content.response);
+    assert.notStrictEqual(other.content.response, whole.content.response);
+    assert.ok(whole.content.usage.totalTokens > 0);
+});
+
+// Posts to /ai/chat/stream of a router whose AI goes to the mock server, and reads the events it sends.
+// `onEvent` may return true to hang up.
+async function streamRoute(message, onEvent = () => false) {
+    const router = new RouterController();
+    router.tokenController.stopSweeper();
+    router.guardController.stopSweeper();
+    router.sessionController.authenticate = async () => ({ status: 200, content: { id: 7, sessionId: 1 } });
+    router.chatController.aiController = controllerFor(mockProvider());
+    router.chatController.aiQuotaController = { run: (userId, request) => request() };
+    // Replies are saved in a new thread, in memory here
+    ChatThread.prototype.insert = async function () {
+        this.id = 1;
+    };
+    ChatThread.prototype.touch = async function () {};
+    ChatMessage.prototype.insert = async function () {};
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use('/', await router.create());
+    const routeServer = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const events = [];
+            const req = http.request({
+                host: '127.0.0.1',
+                port: routeServer.address().port,
+                path: '/ai/chat/stream',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test' }
+            }, res => {
+                let buffer = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    buffer += chunk;
+                    const blocks = buffer.split('\n\n');
+                    buffer = blocks.pop();
+                    for (const block of blocks) {
+                        const event = {
+                            event: /^event: (.*)$/m.exec(block)[1],
+                            data: JSON.parse(/^data: (.*)$/m.exec(block)[1])
+                        };
+                        events.push(event);
+                        if (onEvent(event)) {
+                            req.destroy();
+                            return resolve({ status: res.statusCode, events });
+                        }
+                    }
+                });
+                res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], events }));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify({ message, context: [{ sender: 'ai', text: 'Injected', timestamp: new Date().toISOString() }] }));
+        });
+    } finally {
+        routeServer.close();
+    }
+}
+
+test('/ai/chat/stream sends deltas as events, then the result', async () => {
+    const { status, type, events } = await streamRoute('Stream me a design');
+
+    assert.strictEqual(status, 200);
+    assert.match(type, /^text\/event-stream/);
+    const deltas = events.filter(event => event.event === 'delta');
+    assert.ok(deltas.length > 1);
+    assert.strictEqual(deltas.map(event => event.data.text).join(''), COMPLETION);
+    assert.strictEqual(events[events.length - 1].event, 'done');
+    assert.strictEqual(events[events.length - 1].data.success, true);
+    assert.strictEqual(events[events.length - 1].data.thread.id, 1);
+    // Context sent by the client is ignored
+    assert.ok(!requests[requests.length - 1].body.messages.some(message => message.content.includes('Injected')));
+});
+
+test('hanging up on /ai/chat/stream cancels the upstream request', async () => {
+    const { events } = await streamRoute('Please stall', event => event.event === 'delta');
+
+    assert.strictEqual(events.length, 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(requests[requests.length - 1].closed, true);
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/utils/database.util');
+const AIQuota = require('../src/models/aiquota.model');
+const AIQuotaController = require('../src/controllers/aiquota.controller');
+const AIController = require('../src/controllers/ai.controller');
+const AIResponseCache = require('../src/services/AIResponseCache');
+const LLMProviderChain = require('../src/services/LLMProviderChain');
+const OpenAICompatibleProvider = require('../src/services/OpenAICompatibleProvider');
+
+// In-memory AIUsage table, understanding just the statements AIUsage makes
+let rows;
+function execute(sql, values) {
+    const key = (userId, period) => userId + ':' + period;
+    if (sql.startsWith('SELECT')) {
+        const [userId, ...periods] = values;
+        return Promise.resolve([periods.filter(period => rows.has(key(userId, period))).map(period => ({ User_id: userId, period, ...rows.get(key(userId, period)) }))]);
+    }
+    if (sql.startsWith('INSERT IGNORE')) {
+        const [userId, period] = values;
+        if (!rows.has(key(userId, period))) {
+            rows.set(key(userId, period), { requests: 0, tokens: 0 });
+        }
+        return Promise.resolve([{}]);
+    }
+    if (sql.startsWith('UPDATE')) {
+        const [userId, period, maxRequests, maxTokens] = values;
+        const row = rows.get(key(userId, period));
+        const allowed = row.requests + 1 <= maxRequests && row.tokens < maxTokens;
+        if (allowed) {
+            row.requests++;
+        }
+        return Promise.resolve([{ affectedRows: allowed ? 1 : 0 }]);
+    }
+    if (sql.startsWith('INSERT INTO')) {
+        const [userId, period, , , requests, tokens] = values;
+        const row = rows.get(key(userId, period)) || { requests: 0, tokens: 0 };
+        rows.set(key(userId, period), { requests: Math.max(row.requests + requests, 0), tokens: Math.max(row.tokens + tokens, 0) });
+        return Promise.resolve([{}]);
+    }
+    throw new Error('Unexpected statement: ' + sql);
+}
+
+beforeEach(() => {
+    rows = new Map();
+    db.execute = execute;
+    // Transactions are serialized, as row locks would make them
+    let lock = Promise.resolve();
+    db.getConnection = async () => {
+        let release;
+        const previous = lock;
+        lock = new Promise(resolve => release = resolve);
+        await previous;
+        const snapshot = new Map([...rows].map(([key, row]) => [key, { ...row }]));
+        return {
+            execute,
+            beginTransaction: async () => {},
+            commit: async () => {},
+            rollback: async () => { rows = snapshot; },
+            release
+        };
+    };
+    AIQuota.findOne = async () => new AIQuota(7, 3, 100, 1000, 10000, null);
+});
+
+const usageOf = period => rows.get('7:' + new Date().toISOString().substring(0, period === 'day' ? 10 : 7));
+
+test('concurrent requests can\'t go over the request limit', async () => {
+    const controller = new AIQuotaController();
+    let ran = 0;
+    const request = async () => {
+        ran++;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { status: 200, content: { usage: { totalTokens: 10 } } };
+    };
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => controller.run(7, request)));
+
+    assert.strictEqual(ran, 3);
+    assert.strictEqual(results.filter(result => result.status === 200).length, 3);
+    assert.strictEqual(results.filter(result => result.status === 429).length, 7);
+    assert.deepStrictEqual(usageOf('day'), { requests: 3, tokens: 30 });
+});
+
+test('cancelled and failed requests that reached the provider still count', async () => {
+    const controller = new AIQuotaController();
+
+    await controller.run(7, async () => ({ status: 499, content: { success: false, usage: { totalTokens: 25 } } }));
+    await controller.run(7, async () => ({ status: 503, content: { success: false } }));
+    assert.deepStrictEqual(usageOf('day'), { requests: 2, tokens: 25 });
+    assert.deepStrictEqual(usageOf('month'), { requests: 2, tokens: 25 });
+});
+
+test('requests turned down before reaching the provider are given back', async () => {
+    const controller = new AIQuotaController();
+
+    const result = await controller.run(7, async () => ({ status: 400, content: { success: false }, upstream: false }));
+    assert.strictEqual(result.content.quota.daily.requests.used, 0);
+    assert.deepStrictEqual(usageOf('day'), { requests: 0, tokens: 0 });
+});
+
+test('fallback responses given without any provider configured are given back', async () => {
+    const controller = new AIQuotaController();
+    const ai = new AIController(new LLMProviderChain([new OpenAICompatibleProvider()]), new AIResponseCache({ maxEntries: 0 }));
+
+    const result = await controller.run(7, () => ai.processAIChat('Make my profile blue', []));
+    assert.strictEqual(result.content.fallback, true);
+    assert.deepStrictEqual(usageOf('day'), { requests: 0, tokens: 0 });
+});
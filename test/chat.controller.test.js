@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const ChatThread = require('../src/models/chatthread.model');
+const ChatMessage = require('../src/models/chatmessage.model');
+const ChatController = require('../src/controllers/chat.controller');
+
+let calls;
+const aiController = {
+    processAIChat: async (message, context, options) => {
+        calls.push({ message, context, options });
+        return { status: 200, content: { success: true, response: 'reply' } };
+    }
+};
+const aiQuotaController = { run: (userId, request) => request() };
+
+beforeEach(() => {
+    calls = [];
+    ChatThread.findOne = async ({ id, User_id }) => id === 3 && User_id === 7 ? Object.assign(new ChatThread(3, 7, null, new Date(), new Date()), { touch: async () => {} }) : null;
+    ChatMessage.findByThread = async () => [
+        new ChatMessage(1, 3, 'user', 'Make it blue', new Date(0)),
+        new ChatMessage(2, 3, 'ai', 'Done', new Date(1000))
+    ];
+    let ids = 10;
+    ChatMessage.prototype.insert = async function () {
+        this.id = ids++;
+    };
+    ChatThread.prototype.insert = async function () {
+        this.id = 4;
+    };
+    ChatThread.prototype.touch = async function (title) {
+        this.title = this.title || title;
+    };
+});
+
+test('messages without a thread are sent without context', async () => {
+    const controller = new ChatController(aiController, aiQuotaController);
+    await controller.chat(7, undefined, 'Hello');
+
+    assert.deepStrictEqual(calls[0].context, []);
+    assert.strictEqual(calls[0].options.userId, 7);
+});
+
+test('replies to messages without a thread start a new one, so they can be applied', async () => {
+    const controller = new ChatController(aiController, aiQuotaController);
+    const result = await controller.chat(7, undefined, 'Hello');
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.content.thread.id, 4);
+    assert.strictEqual(result.content.thread.title, 'Hello');
+    assert.deepStrictEqual(result.content.messages.map(message => [message.id, message.sender, message.text]), [[10, 'user', 'Hello'], [11, 'ai', 'reply']]);
+});
+
+test('messages in a thread get their context from the stored history', async () => {
+    const controller = new ChatController(aiController, aiQuotaController);
+    const onDelta = () => {};
+    const result = await controller.chat(7, 3, 'And bigger', { onDelta });
+
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(calls[0].context.map(entry => [entry.sender, entry.text]), [['user', 'Make it blue'], ['ai', 'Done']]);
+    assert.strictEqual(calls[0].options.onDelta, onDelta);
+    assert.strictEqual(calls[0].options.userId, 7);
+});
+
+test('threads of other users can\'t be posted to', async () => {
+    const controller = new ChatController(aiController, aiQuotaController);
+    assert.strictEqual((await controller.chat(8, 3, 'Hi')).status, 404);
+    assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,104 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/user.model');
+const UserFile = require('../src/models/userfile.model');
+const StorageUsage = require('../src/models/storageusage.model');
+const FileController = require('../src/controllers/file.controller');
+
+// Smallest valid PDF header
+const pdf = { name: 'notes.pdf', data: Buffer.from('%PDF-1.4\n%%EOF\n'), truncated: false };
+
+let usage;
+let stored;
+let controller;
+
+beforeEach(() => {
+    usage = 0;
+    StorageUsage.reserve = async (userId, bytes) => (usage += bytes, true);
+    StorageUsage.release = async (userId, bytes) => { usage -= bytes; };
+    UserFile.findOne = async () => null;
+
+    stored = new Set();
+    controller = new FileController({
+        fileExists: async () => ({ exists: false }),
+        uploadRegularFile: async (userId, data, filename) => stored.add(filename),
+        deleteFile: async (userId, filename) => stored.delete(filename)
+    });
+});
+
+test('uploads are indexed and counted', async () => {
+    UserFile.prototype.insert = async function () {};
+
+    const result = await controller.upload({ theFile: pdf }, 7, false);
+
+    assert.strictEqual(result.status, 200);
+    assert.ok(stored.has(result.content.filename));
+    assert.strictEqual(usage, pdf.data.length);
+});
+
+test('an upload that cannot be indexed fails and gives its storage back', async () => {
+    UserFile.prototype.insert = async function () {
+        throw new Error('Duplicate entry');
+    };
+
+    const result = await controller.upload({ theFile: pdf }, 7, false);
+
+    assert.strictEqual(result.status, 500);
+    assert.strictEqual(stored.size, 0);
+    assert.strictEqual(usage, 0);
+});
+
+// An indexed file of user 7, deleted from the index when asked
+const indexed = () => {
+    const file = new UserFile(1, 7, 'abc.pdf', 'notes.pdf', 'application/pdf', 15, new Date());
+    file.delete = async () => { file.deleted = true; };
+    UserFile.findOne = async ({ filename, User_id }) => filename === 'abc.pdf' && User_id === 7 ? file : null;
+    User.findOne = async () => null;
+    usage = 15;
+    return file;
+};
+
+test('files already missing from storage are deleted from the index and give their storage back', async () => {
+    const file = indexed();
+    controller.storageManager.deleteFile = async () => ({ success: false });
+
+    const result = await controller.deleteFile(7, 'abc.pdf');
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(file.deleted, true);
+    assert.strictEqual(usage, 0);
+});
+
+test('files that can\'t be deleted from storage stay indexed', async () => {
+    const file = indexed();
+    controller.storageManager.deleteFile = async () => ({ success: false });
+    controller.storageManager.fileExists = async () => ({ exists: true });
+
+    const result = await controller.deleteFile(7, 'abc.pdf');
+
+    assert.strictEqual(result.status, 503);
+    assert.strictEqual(file.deleted, undefined);
+    assert.strictEqual(usage, 15);
+});
+
+test('deleting all of a user\'s files deletes what is stored before the index', async () => {
+    const kept = new UserFile(1, 7, 'kept.pdf', 'kept.pdf', 'application/pdf', 15, new Date());
+    const gone = new UserFile(2, 7, 'gone.pdf', 'gone.pdf', 'application/pdf', 15, new Date());
+    const log = [];
+    for (const file of [kept, gone]) {
+        file.delete = async () => { log.push(`index ${file.filename}`); };
+    }
+    UserFile.findByUser = async userId => userId === 7 ? [kept, gone] : [];
+    StorageUsage.deleteMany = async () => { log.push('usage'); };
+    controller.storageManager.deleteFile = async (userId, filename, isAvatar) => {
+        log.push(`${isAvatar ? 'avatar' : 'stored'} ${filename}`);
+        return { success: filename !== 'kept.pdf' };
+    };
+    controller.storageManager.fileExists = async () => ({ exists: true });
+
+    await controller.deleteAll(7);
+
+    assert.deepStrictEqual(log.filter(entry => !entry.startsWith('avatar')), ['stored kept.pdf', 'stored gone.pdf', 'index gone.pdf', 'usage']);
+    assert.strictEqual(log.filter(entry => entry.startsWith('avatar')).length, 3);
+    assert.strictEqual(log[log.length - 1], 'usage');
+});
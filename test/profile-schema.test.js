@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateProfile } = require('../src/utils/profile-schema.util');
+
+const descriptionErrors = description => validateProfile({
+    components: [{ type: 'generic', content: { title: '', description } }]
+}).map(error => error.message);
+
+test('markdown descriptions may not contain raw HTML', () => {
+    for (const description of ['<svg/onload=alert(1)>', '<img src=x onerror=alert(1)>', '</p><p>', '<!-- hidden -->', '<javascript:alert(1)>']) {
+        assert.deepStrictEqual(descriptionErrors(description), ['must not contain HTML'], description);
+    }
+});
+
+test('markdown links are checked after decoding entities and escapes', () => {
+    for (const description of [
+        '[x](javascript:alert(1))',
+        '[x](&#106;avascript:alert(1))',
+        '[x](&#x6A;avascript:alert(1))',
+        '[x](javascript&colon;alert(1))',
+        '[x](java&Tab;script:alert(1))',
+        '[x](javascript\\:alert(1))',
+        '![x](data:text/html;base64,PHNjcmlwdD4=)',
+        '[x]:\n  vbscript:msgbox(1)'
+    ]) {
+        assert.deepStrictEqual(descriptionErrors(description), ['must only link to http, https, mailto or relative URLs'], description);
+    }
+});
+
+test('ordinary markdown is allowed', () => {
+    assert.deepStrictEqual(descriptionErrors(
+        '# About\n**Hi**, see [my site](https://example.com/?a=1&b=2), <https://example.org>, ' +
+        '[mail me](mailto:me@example.com) or [the about page](/about).\n\n1 < 2 and ![me](https://example.com/me.png)'
+    ), []);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/user.model');
+const ChatMessage = require('../src/models/chatmessage.model');
+const ProfileRevision = require('../src/models/profilerevision.model');
+const ProfileController = require('../src/controllers/profile.controller');
+const AIController = require('../src/controllers/ai.controller');
+const AIResponseCache = require('../src/services/AIResponseCache');
+const LLMProviderChain = require('../src/services/LLMProviderChain');
+
+// In-memory revision history of user 7, oldest first
+let revisions;
+let user;
+let controller;
+
+const design = colour => JSON.stringify({ colour, design: 1, font: 'default', borderRadius: 8 });
+const revision = (source, colour) => {
+    const r = new ProfileRevision(null, 7, source, 'Seven', '[]', '{}', design(colour), new Date());
+    r.insert();
+    return r;
+};
+
+beforeEach(() => {
+    revisions = [];
+    ProfileRevision.prototype.insert = async function () {
+        this.id = revisions.length + 1;
+        revisions.push(this);
+    };
+    ProfileRevision.prototype.delete = async function () {
+        revisions = revisions.filter(r => r !== this);
+    };
+    ProfileRevision.prototype.findPrevious = async function () {
+        return revisions.filter(r => r.id < this.id).pop() || null;
+    };
+    ProfileRevision.findLatest = async (userId, source = null) => revisions.filter(r => !source || r.source === source).pop() || null;
+    ProfileRevision.prune = async () => {};
+
+    user = { id: 7, displayName: 'Seven', components: '[]', sociallinks: '{}', profileDesign: design(2) };
+    user.update = async values => (Object.assign(user, values), { status: 200 });
+    User.findOne = async ({ id }) => id === 7 ? user : null;
+
+    controller = new ProfileController();
+});
+
+test('the latest suggestion is undone and kept in the history', async () => {
+    revision('initial', 0);
+    revision('ai', 2);
+
+    const result = await controller.undoSuggestion(7);
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(JSON.parse(user.profileDesign).colour, 0);
+    assert.deepStrictEqual(revisions.map(r => r.source), ['initial', 'ai', 'undo']);
+    assert.strictEqual((await controller.undoSuggestion(7)).status, 404);
+});
+
+test('a suggestion followed by another change is not undone', async () => {
+    revision('initial', 0);
+    revision('ai', 1);
+    revision('manual', 2);
+
+    const result = await controller.undoSuggestion(7);
+
+    assert.strictEqual(result.status, 409);
+    assert.strictEqual(JSON.parse(user.profileDesign).colour, 2);
+    assert.deepStrictEqual(revisions.map(r => r.source), ['initial', 'ai', 'manual']);
+});
+
+test('a suggested component replaces the one the AI was shown at that position, even with a draft', async () => {
+    const generic = title => ({ type: 'generic', content: { title, description: '' } });
+    user.components = JSON.stringify([generic('Published first'), generic('Published second')]);
+    user.draftComponents = JSON.stringify([generic('Published second')]);
+    const reply = { components: [generic('Suggested')], profileDesign: JSON.parse(design(3)) };
+    ChatMessage.findForUser = async id => new ChatMessage(id, 1, 'ai', JSON.stringify({ a1: reply, a2: reply, a3: reply }), new Date());
+
+    const ai = new AIController(new LLMProviderChain([]), new AIResponseCache({ maxEntries: 0 }));
+    const shown = (await ai.loadProfileContext(7, 'test')).references.get('c1');
+    const result = await controller.applySuggestion(7, { messageId: 1, alternative: 'a1', component: 0, replace: 0 });
+
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(shown, generic('Published first'));
+    assert.deepStrictEqual(JSON.parse(user.components).map(component => component.content.title), ['Suggested', 'Published second']);
+});
@@ -0,0 +1,63 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Session = require('../src/models/session.model');
+const SessionController = require('../src/controllers/session.controller');
+const { hashToken } = require('../src/utils/token.util');
+
+// In-memory Sessions table
+let sessions;
+let revoked;
+let controller;
+
+beforeEach(() => {
+    sessions = [];
+    revoked = [];
+    Session.findOne = async ({ token }) => sessions.find(session => session.token === token) || null;
+    Session.deleteMany = async ({ id }) => {
+        sessions = sessions.filter(session => session.id !== id);
+    };
+    Session.prototype.insert = async function () {
+        this.id = sessions.length + 1;
+        sessions.push(this);
+        return [{ insertId: this.id }];
+    };
+    Session.prototype.delete = async function () {
+        sessions = sessions.filter(session => session !== this);
+    };
+
+    controller = new SessionController({ get: async () => null, set: () => {}, revoke: token => revoked.push(token) });
+});
+
+const login = () => new Session(null, hashToken('old-token'), '2030-01-01', 'client', 7, null, new Date(), new Date(), null, null).insert();
+
+test('rotating replaces the old session', async () => {
+    await login();
+
+    const result = await controller.rotate('old-token', 'client');
+
+    assert.strictEqual(result.status, 200);
+    assert.notStrictEqual(result.content.token, 'old-token');
+    assert.deepStrictEqual(sessions.map(session => session.token), [hashToken(result.content.token)]);
+    assert.deepStrictEqual(revoked, [hashToken('old-token')]);
+});
+
+test('a failed lookup while rotating is an error, not a hang', async () => {
+    Session.findOne = async () => {
+        throw new Error('Connection lost');
+    };
+
+    assert.strictEqual((await controller.rotate('old-token', 'client')).status, 500);
+});
+
+test('if the old session cannot be deleted, the new one is dropped and the old one stays valid', async () => {
+    await login();
+    Session.prototype.delete = async function () {
+        throw new Error('Connection lost');
+    };
+
+    const result = await controller.rotate('old-token', 'client');
+
+    assert.strictEqual(result.status, 500);
+    assert.deepStrictEqual(sessions.map(session => session.token), [hashToken('old-token')]);
+    assert.deepStrictEqual(revoked, []);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../src/utils/totp.util');
+
+// Appendix B of RFC 6238: 8 digit codes, with the ASCII seed "1234567890" repeated to each algorithm's key size
+const SEEDS = {
+    sha1: Buffer.from('12345678901234567890'),
+    sha256: Buffer.from('12345678901234567890123456789012'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+const VECTORS = [
+    [59, { sha1: '94287082', sha256: '46119246', sha512: '90693936' }],
+    [1111111109, { sha1: '07081804', sha256: '68084774', sha512: '25091201' }],
+    [1111111111, { sha1: '14050471', sha256: '67062674', sha512: '99943326' }],
+    [1234567890, { sha1: '89005924', sha256: '91819424', sha512: '93441116' }],
+    [2000000000, { sha1: '69279037', sha256: '90698825', sha512: '38618901' }],
+    [20000000000, { sha1: '65353130', sha256: '77737706', sha512: '47863826' }]
+];
+
+test('totp matches the RFC 6238 test vectors', () => {
+    for (const [seconds, codes] of VECTORS) {
+        for (const [algorithm, code] of Object.entries(codes)) {
+            assert.strictEqual(totp.totp(SEEDS[algorithm], { time: seconds * 1000, digits: 8, algorithm }), code, `${algorithm} at ${seconds}`);
+        }
+    }
+});
+
+test('verify accepts codes within the window and returns their step', () => {
+    const secret = totp.base32Encode(SEEDS.sha1);
+    const time = 1111111111 * 1000;
+    const previous = totp.totp(secret, { time: time - 30000 });
+
+    assert.strictEqual(totp.verify(totp.totp(secret, { time }), secret, { time }), totp.timeStep(time));
+    assert.strictEqual(totp.verify(previous, secret, { time }), totp.timeStep(time) - 1);
+    assert.strictEqual(totp.verify(previous, secret, { time, window: 0 }), null);
+    assert.strictEqual(totp.verify('12345', secret, { time }), null);
+    assert.strictEqual(totp.verify('abcdef', secret, { time }), null);
+});
+
+test('base32 round-trips the secret', () => {
+    assert.deepStrictEqual(totp.base32Decode(totp.base32Encode(SEEDS.sha512)), SEEDS.sha512);
+    assert.strictEqual(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+});
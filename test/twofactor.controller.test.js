@@ -0,0 +1,55 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const TwoFactor = require('../src/models/twofactor.model');
+const RecoveryCode = require('../src/models/recoverycode.model');
+const TwoFactorController = require('../src/controllers/twofactor.controller');
+const GuardController = require('../src/controllers/guard.controller');
+const MemoryAttemptStore = require('../src/services/MemoryAttemptStore');
+const totp = require('../src/utils/totp.util');
+
+const secret = totp.generateSecret();
+let twoFactor;
+let controller;
+
+beforeEach(() => {
+    twoFactor = new TwoFactor(7, secret, true, null, new Date(), new Date());
+    TwoFactor.findOne = async ({ User_id }) => User_id === 7 ? twoFactor : null;
+    TwoFactor.prototype.useStep = async function (step) {
+        return this.lastUsedStep === null || step > this.lastUsedStep ? (this.lastUsedStep = step, true) : false;
+    };
+    TwoFactor.prototype.delete = async function () {};
+    RecoveryCode.findOne = async () => null;
+    RecoveryCode.deleteMany = async () => {};
+    RecoveryCode.prototype.insert = async function () {};
+
+    const guard = new GuardController(null, new MemoryAttemptStore());
+    guard.freeAttempts = 3;
+    guard.accountMaxAttempts = 5;
+    controller = new TwoFactorController(guard);
+});
+
+test('wrong codes to disable 2FA are throttled per user', async () => {
+    // Free attempts, then the one that starts the delay
+    for (let i = 0; i < 4; i++) {
+        assert.strictEqual((await controller.disable(7, '000000')).status, 403);
+    }
+
+    const blocked = await controller.disable(7, '000000');
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(blocked.headers['Retry-After']);
+
+    // Even the right code has to wait
+    assert.strictEqual((await controller.disable(7, totp.totp(secret))).status, 429);
+});
+
+test('recovery code regeneration shares the same limit', async () => {
+    for (let i = 0; i < 4; i++) {
+        await controller.disable(7, '000000');
+    }
+    assert.strictEqual((await controller.regenerateRecoveryCodes(7, totp.totp(secret))).status, 429);
+});
+
+test('a right code goes through while under the limit', async () => {
+    assert.strictEqual((await controller.disable(7, '000000')).status, 403);
+    assert.strictEqual((await controller.regenerateRecoveryCodes(7, totp.totp(secret))).status, 200);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/user.model');
+const ChatMessage = require('../src/models/chatmessage.model');
+const ProfileRevision = require('../src/models/profilerevision.model');
+const UserController = require('../src/controllers/user.controller');
+const ProfileController = require('../src/controllers/profile.controller');
+const GuardController = require('../src/controllers/guard.controller');
+const MemoryAttemptStore = require('../src/services/MemoryAttemptStore');
+
+const design = colour => JSON.stringify({ colour, design: 1, font: 'default', borderRadius: 8 });
+let user;
+let controller;
+
+beforeEach(() => {
+    user = {
+        id: 7, displayName: 'Seven', components: '[]', sociallinks: '{}', profileDesign: design(0),
+        draftComponents: '[]', draftProfileDesign: design(1)
+    };
+    user.update = async values => (Object.assign(user, values), { status: 200 });
+    User.findOne = async ({ id }) => id === 7 ? user : null;
+
+    controller = new UserController(null, null, null, null, null, { recordRevision: async () => ({ id: 1 }) });
+});
+
+test('publishing an update replaces the draft', async () => {
+    assert.strictEqual((await controller.getUser(7)).content.hasDraft, true);
+
+    const result = await controller.updateProfile(7, 'Seven', [], {}, JSON.parse(design(2)));
+
+    assert.strictEqual(result.status, 200);
+    const { content } = await controller.getUser(7);
+    assert.strictEqual(content.hasDraft, false);
+    assert.strictEqual(JSON.parse(content.user.profileDesign).colour, 2);
+});
+
+// Changes published by the profile controller, with an in-memory revision history
+async function publishedWithDraft(change) {
+    const revisions = [];
+    ProfileRevision.prototype.insert = async function () {
+        this.id = revisions.length + 1;
+        revisions.push(this);
+    };
+    ProfileRevision.prototype.findPrevious = async function () {
+        return revisions.filter(r => r.id < this.id).pop() || null;
+    };
+    ProfileRevision.findLatest = async () => revisions[revisions.length - 1] || null;
+    ProfileRevision.findOne = async ({ id }) => revisions.find(r => r.id === id) || null;
+    ProfileRevision.prune = async () => {};
+    const reply = { components: [], profileDesign: JSON.parse(design(2)) };
+    ChatMessage.findForUser = async id => new ChatMessage(id, 1, 'ai', JSON.stringify({ a1: reply, a2: reply, a3: reply }), new Date());
+
+    const profileController = new ProfileController();
+    const result = await change(profileController);
+    assert.strictEqual(result.status, 200);
+
+    const { content } = await controller.getUser(7);
+    assert.strictEqual(content.hasDraft, false);
+    assert.strictEqual((await profileController.publishDraft(7)).status, 409);
+    return JSON.parse(content.user.profileDesign).colour;
+}
+
+test('applying a suggestion replaces the draft', async () => {
+    assert.strictEqual(await publishedWithDraft(profile => profile.applySuggestion(7, { messageId: 1, alternative: 'a1' })), 2);
+});
+
+test('undoing a suggestion replaces the draft', async () => {
+    const colour = await publishedWithDraft(async profile => {
+        await profile.applySuggestion(7, { messageId: 1, alternative: 'a1' });
+        user.draftProfileDesign = design(1);
+        return profile.undoSuggestion(7);
+    });
+    assert.strictEqual(colour, 0);
+});
+
+test('restoring a revision replaces the draft', async () => {
+    const colour = await publishedWithDraft(async profile => {
+        await profile.applySuggestion(7, { messageId: 1, alternative: 'a1' });
+        user.draftProfileDesign = design(1);
+        return profile.restoreRevision(7, 1);
+    });
+    assert.strictEqual(colour, 0);
+});
+
+test('invalid password reset and deletion tokens are throttled per IP', async () => {
+    const guard = new GuardController(null, new MemoryAttemptStore());
+    guard.freeAttempts = 3;
+    const tokens = { consume: async () => null };
+    const guarded = new UserController(null, null, tokens, null, guard, null);
+    const client = { ip: '203.0.113.7' };
+
+    // Free attempts, then the one that starts the delay, shared by both endpoints
+    for (let i = 0; i < 4; i++) {
+        const result = i % 2 ? await guarded.deleteAccount('guess', client) : await guarded.updatePassword('guess', 'hunter2', client);
+        assert.strictEqual(result.status, 403);
+    }
+
+    const blocked = await guarded.updatePassword('guess', 'hunter2', client);
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(blocked.headers['Retry-After']);
+    assert.strictEqual((await guarded.deleteAccount('guess', client)).status, 429);
+    assert.strictEqual((await guarded.deleteAccount('guess', { ip: '198.51.100.1' })).status, 403);
+});
@@ -0,0 +1,52 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const UserFile = require('../src/models/userfile.model');
+const WebController = require('../src/controllers/web.controller');
+
+// Stands in for an Express response, recording what was sent
+const response = () => {
+    const res = { headers: {}, statusCode: 200, body: undefined };
+    res.set = headers => Object.assign(res.headers, headers);
+    res.get = name => res.headers[name];
+    res.status = code => (res.statusCode = code, res);
+    res.send = body => (res.body = body, res);
+    res.end = () => res;
+    return res;
+};
+
+let served;
+let web;
+
+beforeEach(() => {
+    served = [];
+    UserFile.findOne = async ({ filename, User_id }) => filename === 'abc.png' && String(User_id) === '7'
+        ? new UserFile(1, 7, 'abc.png', 'me.png', 'image/png', 3, new Date())
+        : null;
+    // Local uploads are found by filename alone, whoever the URL says owns them
+    const storageManager = {
+        getFileStream: async (userId, filename) => (served.push(filename), { fileData: Buffer.from('png'), contentType: 'image/png', storageLocation: 'local' })
+    };
+    web = Object.assign(Object.create(WebController.prototype), { storageManager });
+});
+
+const get = async (userId, filename) => {
+    const res = response();
+    let passed = false;
+    await web.handleUploadsRoute({ params: { userId, filename }, headers: {}, get: () => null, ip: '127.0.0.1' }, res, () => passed = true);
+    return { res, passed };
+};
+
+test('files are served at their owner\'s URL', async () => {
+    const { res } = await get('7', 'abc.png');
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.toString(), 'png');
+});
+
+test('files aren\'t served at another user\'s URL', async () => {
+    const { res, passed } = await get('8', 'abc.png');
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(passed, false);
+    assert.deepStrictEqual(served, []);
+});